@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+// Standalone cluster broker. Start this once, then start any number of
+// server.js instances with the same CLUSTER_BROKER_SOCKET; they share rooms,
+// membership and signaling through it. The broker owns the room store.
+
+const { Broker } = require('./lib/cluster/broker');
+const { listenBroker } = require('./lib/cluster/unix');
+const { LocalMembership } = require('./lib/membership');
+const { createRoomStore } = require('./lib/room-store');
+
+const socketPath = process.env.CLUSTER_BROKER_SOCKET || '/tmp/alphy-broker.sock';
+
+const roomStore = createRoomStore(process.env, __dirname);
+const broker = new Broker({ rooms: roomStore, membership: new LocalMembership() });
+
+listenBroker(broker, socketPath)
+  .then((server) => {
+    console.log(`Alphy Chat broker listening on ${socketPath}`);
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, async () => {
+        server.close();
+        try {
+          await roomStore.close();
+        } finally {
+          process.exit(0);
+        }
+      });
+    }
+  })
+  .catch((err) => {
+    console.error(`Broker could not listen on ${socketPath}: ${err.message}`);
+    process.exit(1);
+  });
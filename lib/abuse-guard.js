@@ -0,0 +1,153 @@
+// In-process abuse protection for room lookups, keyed by client IP.
+//
+// Room codes are short, so anything that reveals whether a room exists
+// (REST lookups, socket joins, passcode checks) is rate limited, and clients
+// that keep missing get temporarily banned. Bans double for repeat offenders.
+// State lives in memory — good enough for a single small instance.
+
+const DEFAULTS = {
+  requestLimit: 30, // lookups/joins per window
+  requestWindowMs: 60 * 1000,
+  failureLimit: 10, // misses (unknown room, wrong passcode) per window
+  failureWindowMs: 10 * 60 * 1000,
+  forgiveLimit: 3, // misses taken back per failure window (new rooms opened from a link)
+  banMs: 5 * 60 * 1000, // first ban
+  maxBanMs: 24 * 60 * 60 * 1000,
+  offenseMemoryMs: 24 * 60 * 60 * 1000, // how long repeat offenses are remembered
+  maxEntries: 50000,
+};
+
+class AbuseGuard {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    // ip -> { requests: number[], failures: number[], keyed: Map<key, failure time>,
+    //        forgiven: number[], bannedUntil, offenses, lastOffense }
+    this.entries = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  entry(ip) {
+    let e = this.entries.get(ip);
+    if (!e) {
+      // Under a flood of distinct IPs, forget the oldest rather than grow forever
+      if (this.entries.size >= this.options.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+      e = {
+        requests: [], failures: [], keyed: new Map(), forgiven: [], bannedUntil: 0, offenses: 0, lastOffense: 0,
+      };
+      this.entries.set(ip, e);
+    }
+    return e;
+  }
+
+  // Count one attempt. Returns { allowed: true } or { allowed: false, retryAfterMs, reason }.
+  attempt(ip) {
+    const now = Date.now();
+    const e = this.entry(ip);
+
+    if (e.bannedUntil > now) {
+      return { allowed: false, retryAfterMs: e.bannedUntil - now, reason: 'banned' };
+    }
+
+    prune(e.requests, now - this.options.requestWindowMs);
+    if (e.requests.length >= this.options.requestLimit) {
+      return {
+        allowed: false,
+        retryAfterMs: e.requests[0] + this.options.requestWindowMs - now,
+        reason: 'rate-limited',
+      };
+    }
+    e.requests.push(now);
+    return { allowed: true };
+  }
+
+  // Record a miss (room not found, wrong passcode). Bans the IP once it
+  // crosses the failure limit; returns the ban length in ms, or 0.
+  // A miss with a `key` (the room ID looked up) can be taken back by forgive(),
+  // and counts once however often it repeats while it is still counting.
+  fail(ip, key = null) {
+    const now = Date.now();
+    const e = this.entry(ip);
+
+    prune(e.failures, now - this.options.failureWindowMs);
+    if (key !== null && e.failures.includes(e.keyed.get(key))) return 0;
+    e.failures.push(now);
+    if (key !== null) e.keyed.set(key, now);
+    if (e.failures.length < this.options.failureLimit) return 0;
+
+    if (now - e.lastOffense > this.options.offenseMemoryMs) e.offenses = 0;
+    const banMs = Math.min(this.options.banMs * 2 ** e.offenses, this.options.maxBanMs);
+    e.offenses++;
+    e.lastOffense = now;
+    e.bannedUntil = now + banMs;
+    e.failures.length = 0;
+    e.keyed.clear();
+    return banMs;
+  }
+
+  // Take back the miss recorded under `key` once it turns out to be
+  // legitimate: looking up a new room, then joining it to create it.
+  // Only a few per window, or a scanner could pair every probe with a join.
+  // True if there was one still counting and it was taken back.
+  forgive(ip, key) {
+    const now = Date.now();
+    const e = this.entries.get(ip);
+    if (!e || !e.keyed.has(key)) return false;
+    const failedAt = e.keyed.get(key);
+    e.keyed.delete(key);
+    const i = e.failures.indexOf(failedAt);
+    if (i === -1) return false; // already out of the window
+    prune(e.forgiven, now - this.options.failureWindowMs);
+    if (e.forgiven.length >= this.options.forgiveLimit) return false;
+    e.forgiven.push(now);
+    e.failures.splice(i, 1);
+    return true;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [ip, e] of this.entries) {
+      prune(e.requests, now - this.options.requestWindowMs);
+      prune(e.failures, now - this.options.failureWindowMs);
+      prune(e.forgiven, now - this.options.failureWindowMs);
+      for (const [key, failedAt] of e.keyed) {
+        if (failedAt <= now - this.options.failureWindowMs) e.keyed.delete(key);
+      }
+      const idle =
+        e.requests.length === 0 &&
+        e.failures.length === 0 &&
+        e.keyed.size === 0 &&
+        e.forgiven.length === 0 &&
+        e.bannedUntil <= now &&
+        now - e.lastOffense > this.options.offenseMemoryMs;
+      if (idle) this.entries.delete(ip);
+    }
+  }
+}
+
+// Drop timestamps older than `cutoff` from the front of a sorted array
+function prune(timestamps, cutoff) {
+  let i = 0;
+  while (i < timestamps.length && timestamps[i] <= cutoff) i++;
+  if (i > 0) timestamps.splice(0, i);
+}
+
+// Client IP for an HTTP request or socket.io handshake. With `trustProxyHops`
+// set (e.g. 1 on Render), the address appended by our own proxy is used;
+// otherwise X-Forwarded-For is ignored since anyone can send it.
+function clientIp({ headers, address }, trustProxyHops) {
+  if (trustProxyHops > 0) {
+    const forwarded = String(headers['x-forwarded-for'] || '')
+      .split(',')
+      .map((part) => part.trim())
+      .filter(Boolean);
+    const ip = forwarded[forwarded.length - trustProxyHops];
+    if (ip) return ip;
+  }
+  return address;
+}
+
+module.exports = { AbuseGuard, clientIp };
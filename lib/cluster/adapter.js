@@ -0,0 +1,55 @@
+// socket.io adapter on top of a broker connection (see ./broker.js). The
+// cluster logic — broadcasts, rooms, fetchSockets, node heartbeats — comes
+// from socket.io-adapter; this only moves its messages through pub/sub.
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Messages may carry binary packets; JSON turns Buffers into
+// { type: 'Buffer', data: [...] }, so turn them back on the way in.
+function encode(message) {
+  return JSON.stringify(message);
+}
+
+function decode(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+      return Buffer.from(value.data);
+    }
+    return value;
+  });
+}
+
+function createPubSubAdapter(connection, { channelPrefix = 'socket.io' } = {}) {
+  return class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.channel = `${channelPrefix}#${nsp.name}#`;
+      this.unsubscribers = [
+        connection.subscribe(this.channel, (text) => this.onMessage(decode(text))),
+        connection.subscribe(this.responseChannel(this.uid), (text) => this.onResponse(decode(text))),
+      ];
+    }
+
+    responseChannel(uid) {
+      return `${this.channel}${uid}#`;
+    }
+
+    doPublish(message) {
+      connection.publish(this.channel, encode(message));
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      connection.publish(this.responseChannel(requesterUid), encode(response));
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      for (const unsubscribe of this.unsubscribers) unsubscribe();
+      this.unsubscribers = [];
+    }
+  };
+}
+
+module.exports = { createPubSubAdapter };
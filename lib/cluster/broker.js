@@ -0,0 +1,121 @@
+// Cluster broker — the one place several server instances share state through.
+// It relays pub/sub messages between instances and runs room-store and
+// membership calls one at a time, which is what keeps the room capacity check
+// atomic across instances.
+//
+// Instances talk to it through a connection with this interface:
+//
+//   publish(channel, message)            message is a string
+//   subscribe(channel, handler)          -> unsubscribe()
+//   call(service, method, ...args)       -> Promise
+//   onClose(handler)
+//   close()
+//
+// broker.connect(owner) returns an in-process connection; lib/cluster/unix.js
+// carries the same interface over a Unix socket to a standalone broker.
+
+// Only these methods may be called remotely
+const REMOTE_METHODS = {
+  rooms: ['get', 'has', 'create', 'update', 'touch', 'delete'],
+  membership: [
+    'get', 'has', 'join', 'resume', 'detach', 'leave', 'close', 'setName', 'setHost', 'setLocked', 'roomIds',
+    'knock', 'answerKnock', 'takeAdmission', 'withdraw',
+  ],
+};
+
+// Published when an instance disconnects and its members lose their seats
+const EVICTED_CHANNEL = 'alphy#membership-evicted';
+
+class Broker {
+  // services: { rooms: RoomStore, membership: LocalMembership }
+  constructor(services) {
+    this.services = services;
+    this.subscribers = new Map(); // channel -> Set<deliver(channel, message)>
+  }
+
+  publish(channel, message) {
+    const subs = this.subscribers.get(channel);
+    if (!subs) return;
+    for (const deliver of subs) deliver(channel, message);
+  }
+
+  subscribe(channel, deliver) {
+    let subs = this.subscribers.get(channel);
+    if (!subs) {
+      subs = new Set();
+      this.subscribers.set(channel, subs);
+    }
+    subs.add(deliver);
+    return () => {
+      subs.delete(deliver);
+      if (subs.size === 0) this.subscribers.delete(channel);
+    };
+  }
+
+  async call(service, method, args) {
+    const allowed = REMOTE_METHODS[service];
+    if (!allowed || !allowed.includes(method)) {
+      throw new Error(`Unknown broker method ${service}.${method}`);
+    }
+    return this.services[service][method](...args);
+  }
+
+  // An instance went away — free its seats and tell everyone else
+  release(owner) {
+    const evicted = this.services.membership.evictOwner(owner);
+    for (const entry of evicted) {
+      this.publish(EVICTED_CHANNEL, JSON.stringify(entry));
+    }
+    return evicted;
+  }
+
+  // In-process connection. Deliveries are async, like they would be over a socket.
+  connect(owner) {
+    const unsubscribers = new Set();
+    const closeHandlers = [];
+    let closed = false;
+
+    return {
+      publish: (channel, message) => {
+        if (!closed) this.publish(channel, message);
+      },
+      subscribe: (channel, handler) => {
+        const unsubscribe = this.subscribe(channel, (ch, message) => {
+          queueMicrotask(() => handler(message));
+        });
+        unsubscribers.add(unsubscribe);
+        return () => {
+          unsubscribers.delete(unsubscribe);
+          unsubscribe();
+        };
+      },
+      call: (service, method, ...args) => {
+        if (closed) return Promise.reject(new Error('Broker connection closed'));
+        return this.call(service, method, args);
+      },
+      onClose: (handler) => {
+        closeHandlers.push(handler);
+      },
+      close: () => {
+        if (closed) return;
+        closed = true;
+        for (const unsubscribe of unsubscribers) unsubscribe();
+        unsubscribers.clear();
+        this.release(owner);
+        for (const handler of closeHandlers) handler();
+      },
+    };
+  }
+}
+
+// Proxy with the same async methods as a local service, backed by broker calls
+function remoteService(connection, service) {
+  const proxy = {};
+  for (const method of REMOTE_METHODS[service]) {
+    proxy[method] = (...args) => connection.call(service, method, ...args);
+  }
+  proxy.close = async () => {};
+  return proxy;
+}
+
+module.exports = { Broker, remoteService, EVICTED_CHANNEL };
@@ -0,0 +1,202 @@
+// Broker connections over a Unix domain socket — newline-delimited JSON frames.
+//
+// instance -> broker:
+//   { t: 'hello', owner }                  first frame, names the instance
+//   { t: 'sub', ch } / { t: 'unsub', ch }
+//   { t: 'pub', ch, m }
+//   { t: 'call', id, s, fn, a }            service, method, args
+// broker -> instance:
+//   { t: 'msg', ch, m }
+//   { t: 'res', id, v } / { t: 'res', id, e }
+
+const fs = require('fs');
+const net = require('net');
+
+function frameReader(onFrame) {
+  let buffered = '';
+  return (chunk) => {
+    buffered += chunk;
+    let newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, newline);
+      buffered = buffered.slice(newline + 1);
+      if (!line) continue;
+      let frame;
+      try {
+        frame = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      onFrame(frame);
+    }
+  };
+}
+
+function send(sock, frame) {
+  if (!sock.destroyed) sock.write(`${JSON.stringify(frame)}\n`);
+}
+
+// A leftover socket file from a crashed broker would block listen(); remove
+// it, but only if nothing answers on it.
+function removeStaleSocket(socketPath) {
+  return new Promise((resolve) => {
+    if (!fs.existsSync(socketPath)) return resolve();
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve();
+    });
+    probe.once('error', () => {
+      try {
+        fs.unlinkSync(socketPath);
+      } catch {
+        // Someone else cleaned it up
+      }
+      resolve();
+    });
+  });
+}
+
+async function listenBroker(broker, socketPath) {
+  await removeStaleSocket(socketPath);
+
+  const server = net.createServer((sock) => {
+    sock.setEncoding('utf8');
+    let owner = null;
+    const unsubscribers = new Map(); // channel -> unsubscribe()
+
+    const deliver = (ch, m) => send(sock, { t: 'msg', ch, m });
+
+    sock.on('data', frameReader(async (frame) => {
+      switch (frame.t) {
+        case 'hello':
+          owner = String(frame.owner);
+          break;
+        case 'sub':
+          if (!unsubscribers.has(frame.ch)) {
+            unsubscribers.set(frame.ch, broker.subscribe(frame.ch, deliver));
+          }
+          break;
+        case 'unsub': {
+          const unsubscribe = unsubscribers.get(frame.ch);
+          if (unsubscribe) unsubscribe();
+          unsubscribers.delete(frame.ch);
+          break;
+        }
+        case 'pub':
+          broker.publish(frame.ch, frame.m);
+          break;
+        case 'call':
+          try {
+            const v = await broker.call(frame.s, frame.fn, Array.isArray(frame.a) ? frame.a : []);
+            send(sock, { t: 'res', id: frame.id, v });
+          } catch (err) {
+            send(sock, { t: 'res', id: frame.id, e: err.message });
+          }
+          break;
+        default:
+          break;
+      }
+    }));
+
+    sock.on('close', () => {
+      for (const unsubscribe of unsubscribers.values()) unsubscribe();
+      unsubscribers.clear();
+      if (owner) {
+        const evicted = broker.release(owner);
+        console.log(`[broker] ${owner} disconnected${evicted.length ? `, freed ${evicted.length} seat(s)` : ''}`);
+      }
+    });
+
+    sock.on('error', () => {});
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  return server;
+}
+
+function connectBroker(socketPath, owner) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect(socketPath);
+    sock.setEncoding('utf8');
+
+    const handlers = new Map(); // channel -> Set<handler>
+    const pending = new Map(); // call id -> { resolve, reject }
+    const closeHandlers = [];
+    let nextId = 1;
+    let connected = false;
+
+    sock.on('data', frameReader((frame) => {
+      if (frame.t === 'msg') {
+        const subs = handlers.get(frame.ch);
+        if (subs) for (const handler of subs) handler(frame.m);
+      } else if (frame.t === 'res') {
+        const call = pending.get(frame.id);
+        if (!call) return;
+        pending.delete(frame.id);
+        if (frame.e) call.reject(new Error(frame.e));
+        else call.resolve(frame.v);
+      }
+    }));
+
+    sock.once('connect', () => {
+      connected = true;
+      send(sock, { t: 'hello', owner });
+      resolve(connection);
+    });
+
+    sock.on('error', (err) => {
+      if (!connected) reject(err);
+    });
+
+    sock.on('close', () => {
+      for (const call of pending.values()) call.reject(new Error('Broker connection closed'));
+      pending.clear();
+      if (connected) for (const handler of closeHandlers) handler();
+    });
+
+    const connection = {
+      publish(channel, message) {
+        send(sock, { t: 'pub', ch: channel, m: message });
+      },
+      subscribe(channel, handler) {
+        let subs = handlers.get(channel);
+        if (!subs) {
+          subs = new Set();
+          handlers.set(channel, subs);
+          send(sock, { t: 'sub', ch: channel });
+        }
+        subs.add(handler);
+        return () => {
+          subs.delete(handler);
+          if (subs.size === 0 && handlers.get(channel) === subs) {
+            handlers.delete(channel);
+            send(sock, { t: 'unsub', ch: channel });
+          }
+        };
+      },
+      call(service, method, ...args) {
+        if (sock.destroyed) return Promise.reject(new Error('Broker connection closed'));
+        const id = nextId++;
+        return new Promise((res, rej) => {
+          pending.set(id, { resolve: res, reject: rej });
+          send(sock, { t: 'call', id, s: service, fn: method, a: args });
+        });
+      },
+      onClose(handler) {
+        closeHandlers.push(handler);
+      },
+      close() {
+        sock.end();
+      },
+    };
+  });
+}
+
+module.exports = { listenBroker, connectBroker };
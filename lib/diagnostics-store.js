@@ -0,0 +1,77 @@
+// Diagnostics reports uploaded from the call page (see public/js/diagnostics.js),
+// kept as one JSON file each so a failed call can be looked up later by the ID
+// its user was shown. Only the newest reports are kept, up to a count and a
+// total size, since anyone can upload one.
+//
+//   save(report, meta) -> id
+//
+// Reports stay on the instance that received them; in cluster mode, look on
+// every instance (or point them all at a shared DIAGNOSTICS_DIR).
+
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+
+const DEFAULT_MAX_REPORTS = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+class DiagnosticsStore {
+  constructor(dir, { maxReports = DEFAULT_MAX_REPORTS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.dir = dir;
+    this.maxReports = maxReports;
+    this.maxBytes = maxBytes;
+    // Saves and pruning are chained so pruning never races a write
+    this.writing = Promise.resolve();
+  }
+
+  save(report, meta = {}) {
+    const id = nanoid(10);
+    const saved = this.writing.then(() => this.write(id, report, meta));
+    this.writing = saved.then(() => this.prune()).catch(() => {});
+    return saved;
+  }
+
+  // Atomic like the room store: temp file + rename
+  async write(id, report, meta) {
+    const data = JSON.stringify({ id, receivedAt: new Date().toISOString(), ...meta, report });
+    const filePath = path.join(this.dir, `${id}.json`);
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, filePath);
+    return id;
+  }
+
+  // Drop the oldest reports until at most maxReports, of maxBytes in all, are left
+  async prune() {
+    const names = (await fs.promises.readdir(this.dir)).filter((name) => name.endsWith('.json'));
+    const files = await Promise.all(names.map(async (name) => {
+      const filePath = path.join(this.dir, name);
+      const { mtimeMs, size } = await fs.promises.stat(filePath);
+      return { filePath, mtimeMs, size };
+    }));
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let count = files.length;
+    let bytes = files.reduce((total, file) => total + file.size, 0);
+    for (const { filePath, size } of files) {
+      if (count <= this.maxReports && bytes <= this.maxBytes) break;
+      await fs.promises.unlink(filePath).catch((err) => {
+        console.error(`Diagnostics: could not remove ${filePath}: ${err.message}`);
+      });
+      count--;
+      bytes -= size;
+    }
+  }
+}
+
+// DIAGNOSTICS_DIR=path (default data/diagnostics), DIAGNOSTICS_MAX_REPORTS,
+// DIAGNOSTICS_MAX_MB
+function createDiagnosticsStore(env, baseDir) {
+  const dir = path.resolve(baseDir, env.DIAGNOSTICS_DIR || 'data/diagnostics');
+  const maxReports = parseInt(env.DIAGNOSTICS_MAX_REPORTS || '', 10) || DEFAULT_MAX_REPORTS;
+  const maxMb = parseFloat(env.DIAGNOSTICS_MAX_MB || '');
+  const maxBytes = maxMb > 0 ? maxMb * 1024 * 1024 : DEFAULT_MAX_BYTES;
+  return new DiagnosticsStore(dir, { maxReports, maxBytes });
+}
+
+module.exports = { DiagnosticsStore, createDiagnosticsStore };
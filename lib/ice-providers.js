@@ -0,0 +1,220 @@
+// ICE server providers behind /api/turn-credentials. A provider is
+//
+//   { name, label, cacheable, relay, fetch({ signal }) -> Promise<{ iceServers, expiresAt }> }
+//
+// where expiresAt is ms since epoch, or null for servers that never expire,
+// and relay says whether it hands out TURN servers. The label must never
+// contain credentials: it is shown publicly (/api/ice-info).
+// IceProviderChain asks them in order, caches cacheable results until shortly
+// before they expire, and falls back to public STUN when every provider fails.
+
+const { nanoid } = require('nanoid');
+const { turnRestConfigFromEnv, mintTurnCredentials } = require('./turn-rest');
+
+// STUN fallback servers (multiple providers for reliability)
+const STUN_FALLBACK = [
+  { urls: 'stun:stun.relay.metered.ca:80' },
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+];
+
+// Metered's API-key credentials carry no expiry; re-fetch them this often so a
+// rotated key is picked up without a restart.
+const METERED_CACHE_MS = 30 * 60 * 1000;
+
+const DEFAULT_TIMEOUT_MS = 3000;
+// Serve cached credentials only while they have at least this much life left
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// After a failure, skip the provider for a while instead of waiting out its
+// timeout on every page load
+const FAILURE_COOLDOWN_MS = 30 * 1000;
+
+function meteredProvider({ apiKey, domain }) {
+  return {
+    name: 'metered',
+    label: `${domain}.metered.live`,
+    cacheable: true,
+    relay: true,
+    async fetch({ signal }) {
+      const response = await fetch(
+        `https://${domain}.metered.live/api/v1/turn/credentials?apiKey=${apiKey}`,
+        { signal }
+      );
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`Metered API error (${response.status}): ${body}. Check METERED_DOMAIN and METERED_API_KEY.`);
+      }
+      const iceServers = await response.json();
+      if (!Array.isArray(iceServers) || iceServers.length === 0) {
+        throw new Error('Metered API returned no ICE servers');
+      }
+      return { iceServers, expiresAt: Date.now() + METERED_CACHE_MS };
+    },
+  };
+}
+
+function turnRestProvider(config) {
+  return {
+    name: 'turn-rest',
+    label: config.urls.join(', '),
+    // Minted per request, so every client gets its own username
+    cacheable: false,
+    relay: true,
+    async fetch() {
+      const { iceServer, expiresAt } = mintTurnCredentials(config, nanoid(10));
+      return { iceServers: [iceServer, ...STUN_FALLBACK], expiresAt };
+    },
+  };
+}
+
+function staticProvider(iceServers) {
+  return {
+    name: 'static',
+    label: `${iceServers.length} server entr${iceServers.length === 1 ? 'y' : 'ies'} from ICE_SERVERS`,
+    cacheable: false,
+    relay: iceServers.some((entry) => [].concat(entry.urls).some((url) => /^turns?:/.test(url))),
+    async fetch() {
+      return { iceServers, expiresAt: null };
+    },
+  };
+}
+
+function isIceServer(entry) {
+  if (!entry || typeof entry !== 'object') return false;
+  const urls = Array.isArray(entry.urls) ? entry.urls : [entry.urls];
+  return urls.length > 0 && urls.every((url) => typeof url === 'string' && /^(stuns?|turns?):/.test(url));
+}
+
+// Build the provider list from the environment:
+//
+//   TURN_SECRET + TURN_URLS [+ TURN_TTL]     turn-rest (see ./turn-rest.js)
+//   METERED_API_KEY + METERED_DOMAIN         metered
+//   ICE_SERVERS                              static, a JSON RTCIceServer[]
+//   ICE_PROVIDERS                            order, e.g. "metered,turn-rest"
+//
+// Returns { providers, turnRest, errors, warnings }. Providers whose config has
+// errors are left out.
+function iceProvidersFromEnv(env) {
+  const errors = [];
+  const warnings = [];
+  const available = new Map();
+
+  const turnRest = turnRestConfigFromEnv(env);
+  if (turnRest) {
+    errors.push(...turnRest.errors);
+    warnings.push(...turnRest.warnings);
+    if (turnRest.errors.length === 0) available.set('turn-rest', turnRestProvider(turnRest));
+  }
+
+  if (env.METERED_API_KEY && env.METERED_DOMAIN) {
+    available.set('metered', meteredProvider({ apiKey: env.METERED_API_KEY, domain: env.METERED_DOMAIN }));
+  } else if (env.METERED_API_KEY || env.METERED_DOMAIN) {
+    warnings.push('Metered needs both METERED_API_KEY and METERED_DOMAIN');
+  }
+
+  if (env.ICE_SERVERS) {
+    let iceServers = null;
+    try {
+      iceServers = JSON.parse(env.ICE_SERVERS);
+    } catch {
+      // Reported below
+    }
+    if (Array.isArray(iceServers) && iceServers.length > 0 && iceServers.every(isIceServer)) {
+      available.set('static', staticProvider(iceServers));
+    } else {
+      errors.push('ICE_SERVERS must be a JSON array of { urls, username?, credential? } with stun:/turn: URLs');
+    }
+  }
+
+  let order = ['turn-rest', 'metered', 'static'];
+  if (env.ICE_PROVIDERS) {
+    order = env.ICE_PROVIDERS.split(',').map((name) => name.trim()).filter(Boolean);
+    for (const name of order) {
+      if (!['turn-rest', 'metered', 'static'].includes(name)) {
+        errors.push(`ICE_PROVIDERS entry "${name}" is not one of turn-rest, metered, static`);
+      } else if (!available.has(name)) {
+        warnings.push(`ICE_PROVIDERS lists "${name}" but it is not configured`);
+      }
+    }
+  }
+
+  const providers = order.filter((name) => available.has(name)).map((name) => available.get(name));
+  return { providers, turnRest, errors, warnings };
+}
+
+function withTimeout(promise, timeoutMs, controller) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error(`no answer within ${timeoutMs} ms`));
+      controller.abort();
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class IceProviderChain {
+  constructor(providers, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.state = new Map(); // provider name -> { cached, pending, failedUntil }
+    for (const provider of providers) {
+      this.state.set(provider.name, { cached: null, pending: null, failedUntil: 0 });
+    }
+  }
+
+  // -> { provider, iceServers, expiresAt }, never rejects
+  async get() {
+    for (const provider of this.providers) {
+      const state = this.state.get(provider.name);
+      if (state.failedUntil > Date.now()) continue;
+      try {
+        const result = await this.load(provider);
+        return { provider: provider.name, ...result };
+      } catch (err) {
+        console.error(`ICE provider ${provider.name} failed: ${err.message}`);
+      }
+    }
+    return { provider: 'stun', iceServers: STUN_FALLBACK, expiresAt: null };
+  }
+
+  // What is configured and whether it is answering, for /api/ice-info.
+  // Names and labels only — never servers or credentials.
+  describe() {
+    const now = Date.now();
+    return this.providers.map((provider) => ({
+      name: provider.name,
+      label: provider.label,
+      relay: provider.relay,
+      failing: this.state.get(provider.name).failedUntil > now,
+    }));
+  }
+
+  // Cached result or a fresh fetch from one provider; concurrent callers share
+  // the same request. Rejects if the provider fails or times out.
+  load(provider) {
+    const state = this.state.get(provider.name);
+    const { cached } = state;
+    if (cached && (cached.expiresAt === null || cached.expiresAt - REFRESH_MARGIN_MS > Date.now())) {
+      return Promise.resolve(cached);
+    }
+    if (!state.pending) {
+      const controller = new AbortController();
+      state.pending = withTimeout(provider.fetch({ signal: controller.signal }), this.timeoutMs, controller)
+        .then((result) => {
+          state.failedUntil = 0;
+          if (provider.cacheable) state.cached = result;
+          return result;
+        }, (err) => {
+          state.failedUntil = Date.now() + FAILURE_COOLDOWN_MS;
+          throw err;
+        })
+        .finally(() => {
+          state.pending = null;
+        });
+    }
+    return state.pending;
+  }
+}
+
+module.exports = { IceProviderChain, iceProvidersFromEnv, STUN_FALLBACK };
@@ -0,0 +1,239 @@
+// Live room membership — who is in each call right now, and whether the call
+// is locked. Kept separate from the room store: it is never persisted, and in
+// cluster mode it lives in the broker so every instance sees the same seats.
+//
+// Members are participant IDs, not sockets: a participant keeps its seat across
+// a socket reconnect by resuming with the token it was given on join. Each seat
+// remembers the socket (`connection`) currently holding it, so a late
+// disconnect or leave from an old socket can't take the seat from a new one.
+//
+// All methods are async so the broker-backed proxy can stand in for it:
+//
+//   get(roomId)                         -> { members, names, host, locked, waiting } | null
+//   has(roomId, memberId)               -> boolean
+//   join(roomId, memberId, { max, owner, connection, tokenHash, name, claimHost, clientKey })
+//                                       -> { ok, reason?, members, names, host, locked }
+//   resume(roomId, memberId, { tokenHash, owner, connection, name })
+//                                       -> { ok, members, names, host, locked, replaced }
+//   detach(roomId, memberId, connection) -> boolean (seat is now held open)
+//   leave(roomId, memberId, connection?) -> { left, remaining, orphaned, clientKey }
+//   close(roomId)                       -> { members, orphaned } that were removed
+//   setName(roomId, memberId, name, connection) -> boolean (whether anything changed)
+//   setHost(roomId, memberId, by)       -> boolean (only the current host may hand it on)
+//   setLocked(roomId, locked)           -> boolean (whether anything changed)
+//   roomIds()                           -> string[] of occupied rooms
+//
+// Waiting room — people asking to join, kept apart from the members so they
+// don't take seats until someone lets them in:
+//
+//   knock(roomId, requestId, { name, owner, connection, max })
+//                                       -> { ok, reason? } (no room: nobody to ask)
+//   answerKnock(roomId, requestId, admit) -> boolean (false if already answered)
+//   takeAdmission(roomId, requestId, connection) -> boolean (use an admission once)
+//   withdraw(roomId, requestId, connection) -> boolean
+//
+// `names` maps each member to its display name (null if it didn't give one).
+// `host` is the member with host controls: the first to join, or whoever
+// joins with `claimHost` (the room's creator); it passes to the longest-
+// standing member when the host leaves.
+//
+// `waiting` lists { requestId, name } of unanswered knocks. When the last
+// member leaves, the room goes away with its knocks; leave() returns their
+// requestIds as `orphaned`.
+//
+// `owner` names the server instance the member is connected to, so that the
+// broker can free the seats of an instance that goes away. `clientKey` is
+// whatever the server identifies the member's client by; leave() hands it
+// back so a removed member can be kept out.
+
+const crypto = require('crypto');
+
+function sameHash(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function snapshot(room) {
+  const names = {};
+  for (const [memberId, member] of room.members) names[memberId] = member.name;
+  const waiting = [];
+  for (const [requestId, knock] of room.knocks) {
+    if (!knock.admitted) waiting.push({ requestId, name: knock.name });
+  }
+  return { members: [...room.members.keys()], names, host: room.host, locked: room.locked, waiting };
+}
+
+// Maps keep insertion order, so the first remaining member has been there longest
+function removeMember(room, memberId) {
+  room.members.delete(memberId);
+  if (room.host === memberId) {
+    const [next = null] = room.members.keys();
+    room.host = next;
+  }
+}
+
+class LocalMembership {
+  constructor() {
+    // roomId -> {
+    //   members: Map<memberId, { owner, connection, tokenHash, name, clientKey, detached }>,
+    //   knocks: Map<requestId, { name, owner, connection, admitted }>,
+    //   host, locked,
+    // }
+    this.rooms = new Map();
+  }
+
+  async get(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? snapshot(room) : null;
+  }
+
+  async has(roomId, memberId) {
+    const room = this.rooms.get(roomId);
+    return Boolean(room && room.members.has(memberId));
+  }
+
+  // Check-and-add in one step — this is the capacity check
+  async join(roomId, memberId, {
+    max, owner = 'local', connection = null, tokenHash = null, name = null, claimHost = false, clientKey = null,
+  }) {
+    let room = this.rooms.get(roomId);
+    if (room && !room.members.has(memberId)) {
+      if (room.locked) return { ok: false, reason: 'locked' };
+      if (room.members.size >= max) return { ok: false, reason: 'full' };
+    }
+    if (!room) {
+      room = { members: new Map(), knocks: new Map(), host: memberId, locked: false };
+      this.rooms.set(roomId, room);
+    }
+    room.members.set(memberId, { owner, connection, tokenHash, name, clientKey, detached: false });
+    if (claimHost) room.host = memberId;
+    return { ok: true, ...snapshot(room) };
+  }
+
+  // Take back a seat — ignores the lock and capacity, since the seat is
+  // already ours. `replaced` is the old connection if it never disconnected.
+  // A `name` replaces the one the seat had.
+  async resume(roomId, memberId, { tokenHash, owner = 'local', connection = null, name = null }) {
+    const room = this.rooms.get(roomId);
+    const member = room && room.members.get(memberId);
+    if (!member || !member.tokenHash || !sameHash(member.tokenHash, tokenHash)) return { ok: false };
+    const replaced = !member.detached && member.connection !== connection ? member.connection : null;
+    Object.assign(member, { owner, connection, detached: false });
+    if (name !== null) member.name = name;
+    return { ok: true, ...snapshot(room), replaced };
+  }
+
+  // The connection dropped; keep the seat until resume() or leave()
+  async detach(roomId, memberId, connection) {
+    const room = this.rooms.get(roomId);
+    const member = room && room.members.get(memberId);
+    if (!member || member.connection !== connection) return false;
+    member.detached = true;
+    return true;
+  }
+
+  // The last one out clears the lock along with the room. With `connection`,
+  // only leaves if that connection still holds the seat.
+  async leave(roomId, memberId, connection = null) {
+    const room = this.rooms.get(roomId);
+    const member = room && room.members.get(memberId);
+    if (!member || (connection !== null && member.connection !== connection)) {
+      return { left: false, remaining: room ? room.members.size : 0, orphaned: [], clientKey: null };
+    }
+    removeMember(room, memberId);
+    let orphaned = [];
+    if (room.members.size === 0) {
+      this.rooms.delete(roomId);
+      orphaned = [...room.knocks.keys()];
+    }
+    return { left: true, remaining: room.members.size, orphaned, clientKey: member.clientKey };
+  }
+
+  // Everyone out at once (the host ended the call)
+  async close(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return { members: [], orphaned: [] };
+    this.rooms.delete(roomId);
+    return { members: [...room.members.keys()], orphaned: [...room.knocks.keys()] };
+  }
+
+  async knock(roomId, requestId, { name = null, owner = 'local', connection = null, max }) {
+    const room = this.rooms.get(roomId);
+    if (!room) return { ok: false, reason: 'empty' };
+    if (room.knocks.size >= max) return { ok: false, reason: 'busy' };
+    room.knocks.set(requestId, { name, owner, connection, admitted: false });
+    return { ok: true };
+  }
+
+  // Admitting keeps the knock around until its socket comes back to join
+  async answerKnock(roomId, requestId, admit) {
+    const room = this.rooms.get(roomId);
+    const knock = room && room.knocks.get(requestId);
+    if (!knock || knock.admitted) return false;
+    if (admit) knock.admitted = true;
+    else room.knocks.delete(requestId);
+    return true;
+  }
+
+  async takeAdmission(roomId, requestId, connection) {
+    const room = this.rooms.get(roomId);
+    const knock = room && room.knocks.get(requestId);
+    if (!knock || !knock.admitted || knock.connection !== connection) return false;
+    room.knocks.delete(requestId);
+    return true;
+  }
+
+  async withdraw(roomId, requestId, connection) {
+    const room = this.rooms.get(roomId);
+    const knock = room && room.knocks.get(requestId);
+    if (!knock || knock.connection !== connection) return false;
+    room.knocks.delete(requestId);
+    return true;
+  }
+
+  async setName(roomId, memberId, name, connection) {
+    const room = this.rooms.get(roomId);
+    const member = room && room.members.get(memberId);
+    if (!member || member.connection !== connection || member.name === name) return false;
+    member.name = name;
+    return true;
+  }
+
+  async setHost(roomId, memberId, by) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.host !== by || by === memberId || !room.members.has(memberId)) return false;
+    room.host = memberId;
+    return true;
+  }
+
+  async setLocked(roomId, locked) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.locked === locked) return false;
+    room.locked = locked;
+    return true;
+  }
+
+  async roomIds() {
+    return [...this.rooms.keys()];
+  }
+
+  // Drop every member connected through `owner`; returns what was removed
+  evictOwner(owner) {
+    const evicted = [];
+    for (const [roomId, room] of this.rooms) {
+      for (const [memberId, member] of room.members) {
+        if (member.owner === owner) {
+          removeMember(room, memberId);
+          evicted.push({ roomId, memberId });
+        }
+      }
+      for (const [requestId, knock] of room.knocks) {
+        if (knock.owner === owner) room.knocks.delete(requestId);
+      }
+      if (room.members.size === 0) this.rooms.delete(roomId);
+    }
+    return evicted;
+  }
+}
+
+module.exports = { LocalMembership };
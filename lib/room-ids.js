@@ -0,0 +1,117 @@
+// Room ID allocation. The format is configurable (see public/js/room-id.js);
+// the allocator maps every possible ID to an index so it can draw uniformly at
+// random and, when the space gets crowded, walk it to find a free slot instead
+// of handing out an ID that belongs to a live room. Claiming is left to the
+// caller so that check-and-take is atomic in whatever holds the rooms.
+
+const { randomInt } = require('crypto');
+const RoomIdFormat = require('../public/js/room-id');
+
+const ADJECTIVES = [
+  'amber', 'brave', 'blue', 'bright', 'calm', 'clever', 'cosy', 'crisp',
+  'eager', 'fancy', 'gentle', 'golden', 'green', 'happy', 'jolly', 'kind',
+  'lucky', 'merry', 'misty', 'noble', 'quick', 'quiet', 'rosy', 'silver',
+  'sleepy', 'sunny', 'swift', 'tidy', 'warm', 'wild', 'witty', 'zesty',
+];
+
+const ANIMALS = [
+  'badger', 'beaver', 'bison', 'crane', 'deer', 'dolphin', 'eagle', 'falcon',
+  'ferret', 'finch', 'fox', 'gecko', 'heron', 'koala', 'lemur', 'lynx',
+  'marten', 'moose', 'otter', 'owl', 'panda', 'puffin', 'rabbit', 'raven',
+  'robin', 'seal', 'sparrow', 'swan', 'tiger', 'turtle', 'walrus', 'wombat',
+];
+
+const WORD_NUMBERS = 100; // two-digit suffix, 00-99
+
+// Spaces up to this size are walked exhaustively once random draws keep colliding
+const MAX_SCAN_SIZE = 1000000;
+const RANDOM_ATTEMPTS = 32;
+
+class RoomIdSpaceExhaustedError extends Error {
+  constructor() {
+    super('No free room IDs left');
+    this.name = 'RoomIdSpaceExhaustedError';
+  }
+}
+
+// Read ROOM_ID_FORMAT / ROOM_ID_LENGTH / ROOM_ID_ALPHABET; throws on bad config
+function roomIdConfigFromEnv(env) {
+  const format = env.ROOM_ID_FORMAT || RoomIdFormat.DEFAULT_CONFIG.format;
+  if (format !== 'code' && format !== 'words') {
+    throw new Error(`ROOM_ID_FORMAT must be "code" or "words", got "${format}"`);
+  }
+  if (format === 'words') return { format };
+
+  const length = env.ROOM_ID_LENGTH
+    ? parseInt(env.ROOM_ID_LENGTH, 10)
+    : RoomIdFormat.DEFAULT_CONFIG.length;
+  const alphabet = env.ROOM_ID_ALPHABET || RoomIdFormat.DEFAULT_CONFIG.alphabet;
+
+  if (!Number.isInteger(length) || length < 3 || length > 16) {
+    throw new Error('ROOM_ID_LENGTH must be between 3 and 16');
+  }
+  if (!/^[A-Za-z0-9]+$/.test(alphabet) || new Set(alphabet).size !== alphabet.length || alphabet.length < 2) {
+    throw new Error('ROOM_ID_ALPHABET must be at least 2 distinct letters or digits');
+  }
+  if (alphabet.length ** length > 2 ** 48) {
+    throw new Error('ROOM_ID_LENGTH is too long for this alphabet');
+  }
+  return { format, length, alphabet };
+}
+
+class RoomIdAllocator {
+  constructor(format) {
+    this.format = format;
+
+    const { config } = format;
+    if (config.format === 'words') {
+      this.size = ADJECTIVES.length * ANIMALS.length * WORD_NUMBERS;
+    } else {
+      this.size = config.alphabet.length ** config.length;
+    }
+  }
+
+  fromIndex(index) {
+    const { config } = this.format;
+
+    if (config.format === 'words') {
+      const number = index % WORD_NUMBERS;
+      const rest = Math.floor(index / WORD_NUMBERS);
+      const animal = ANIMALS[rest % ANIMALS.length];
+      const adjective = ADJECTIVES[Math.floor(rest / ANIMALS.length)];
+      return `${adjective}-${animal}-${String(number).padStart(2, '0')}`;
+    }
+
+    const { alphabet, length } = config;
+    let id = '';
+    let rest = index;
+    for (let i = 0; i < length; i++) {
+      id = alphabet[rest % alphabet.length] + id;
+      rest = Math.floor(rest / alphabet.length);
+    }
+    return id;
+  }
+
+  // tryClaim(id) resolves true if the ID was free and now belongs to the caller
+  async allocate(tryClaim) {
+    for (let i = 0; i < RANDOM_ATTEMPTS; i++) {
+      const id = this.fromIndex(randomInt(this.size));
+      if (RoomIdFormat.isReserved(id)) continue;
+      if (await tryClaim(id)) return id;
+    }
+
+    // Crowded space — walk it from a random starting point
+    if (this.size <= MAX_SCAN_SIZE) {
+      const start = randomInt(this.size);
+      for (let i = 0; i < this.size; i++) {
+        const id = this.fromIndex((start + i) % this.size);
+        if (RoomIdFormat.isReserved(id)) continue;
+        if (await tryClaim(id)) return id;
+      }
+    }
+
+    throw new RoomIdSpaceExhaustedError();
+  }
+}
+
+module.exports = { RoomIdAllocator, RoomIdSpaceExhaustedError, roomIdConfigFromEnv };
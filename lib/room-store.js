@@ -0,0 +1,180 @@
+// Room store — persistent room metadata (creation time, settings, expiry).
+// Who is in a call right now is live socket state and stays in server.js.
+//
+// Every store implements the same async interface, so a database-backed one
+// can be dropped in later:
+//
+//   get(id)               -> record | null (expired records count as missing)
+//   has(id)               -> boolean
+//   create(id, settings, ttlMs) -> record | null (null if the ID is taken)
+//   update(id, settings)  -> record | null (shallow-merges settings)
+//   touch(id, ttlMs)      -> record | null (pushes expiry to now + ttlMs)
+//   delete(id)
+//   close()               -> flushes pending writes
+//
+// A record looks like { id, createdAt, expiresAt, settings }.
+// Expired records are swept by the store itself.
+
+const fs = require('fs');
+const path = require('path');
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const WRITE_DELAY_MS = 200;
+
+class MemoryRoomStore {
+  constructor() {
+    this.records = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  live(id) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    if (record.expiresAt <= Date.now()) {
+      this.records.delete(id);
+      this.changed();
+      return null;
+    }
+    return record;
+  }
+
+  async get(id) {
+    const record = this.live(id);
+    return record ? clone(record) : null;
+  }
+
+  async has(id) {
+    return this.live(id) !== null;
+  }
+
+  async create(id, settings, ttlMs) {
+    if (this.live(id)) return null;
+    const now = Date.now();
+    const record = { id, createdAt: now, expiresAt: now + ttlMs, settings: { ...settings } };
+    this.records.set(id, record);
+    this.changed();
+    return clone(record);
+  }
+
+  async update(id, settings) {
+    const record = this.live(id);
+    if (!record) return null;
+    record.settings = { ...record.settings, ...settings };
+    this.changed();
+    return clone(record);
+  }
+
+  async touch(id, ttlMs) {
+    const record = this.live(id);
+    if (!record) return null;
+    record.expiresAt = Math.max(record.expiresAt, Date.now() + ttlMs);
+    this.changed();
+    return clone(record);
+  }
+
+  async delete(id) {
+    if (this.records.delete(id)) this.changed();
+  }
+
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(id);
+        removed++;
+      }
+    }
+    if (removed > 0) this.changed();
+    return removed;
+  }
+
+  // Hook for subclasses that persist the map
+  changed() {}
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+// Keeps the whole map in memory and mirrors it to a JSON file. Writes are
+// batched and atomic (temp file + rename), so a crash never leaves a torn file.
+class FileRoomStore extends MemoryRoomStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeTimer = null;
+    this.writing = Promise.resolve();
+    this.load();
+    this.sweep();
+  }
+
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Room store: could not read ${this.filePath}: ${err.message}`);
+      }
+      return;
+    }
+    for (const record of Array.isArray(data.rooms) ? data.rooms : []) {
+      if (record && typeof record.id === 'string') this.records.set(record.id, record);
+    }
+  }
+
+  changed() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, WRITE_DELAY_MS);
+  }
+
+  // Writes are chained so two of them never race on the temp file
+  flush() {
+    this.writing = this.writing.then(() => this.write());
+    return this.writing;
+  }
+
+  async write() {
+    const data = JSON.stringify({ rooms: [...this.records.values()] });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, this.filePath);
+    } catch (err) {
+      console.error(`Room store: could not write ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  async close() {
+    await super.close();
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this.flush();
+    }
+    await this.writing;
+  }
+}
+
+function clone(record) {
+  return { ...record, settings: { ...record.settings } };
+}
+
+// ROOM_STORE=memory|file, ROOM_STORE_FILE=path (default data/rooms.json)
+function createRoomStore(env, baseDir) {
+  const kind = env.ROOM_STORE || 'file';
+  if (kind === 'memory') return new MemoryRoomStore();
+  if (kind === 'file') {
+    const filePath = path.resolve(baseDir, env.ROOM_STORE_FILE || 'data/rooms.json');
+    return new FileRoomStore(filePath);
+  }
+  throw new Error(`ROOM_STORE must be "memory" or "file", got "${kind}"`);
+}
+
+module.exports = { MemoryRoomStore, FileRoomStore, createRoomStore };
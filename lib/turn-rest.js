@@ -0,0 +1,150 @@
+// Self-hosted TURN (coturn) with the TURN REST API convention: coturn runs with
+// `use-auth-secret` + `static-auth-secret`, and we mint short-lived credentials
+//
+//   username   = "<expiry unix seconds>:<user id>"
+//   credential = base64(HMAC-SHA1(secret, username))
+//
+// which coturn can verify on its own, so the secret never leaves the server.
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+
+const DEFAULT_TTL_SECONDS = 12 * 3600;
+const MAX_TTL_SECONDS = 7 * 24 * 3600;
+const MIN_SECRET_LENGTH = 16;
+
+// turn:host[:port][?transport=udp|tcp] / turns:host[:port][?transport=tcp]
+const TURN_URL_RE = /^(turns?):(\[[0-9a-fA-F:]+\]|[^\s:?[\]]+)(?::(\d{1,5}))?(?:\?transport=(udp|tcp))?$/;
+
+function parseTurnUrl(url) {
+  const match = TURN_URL_RE.exec(url);
+  if (!match) return null;
+  const [, scheme, host, port, transport] = match;
+  const secure = scheme === 'turns';
+  return {
+    url,
+    secure,
+    host: host.replace(/^\[|\]$/g, ''),
+    port: port ? parseInt(port, 10) : secure ? 5349 : 3478,
+    transport: secure ? 'tcp' : transport || 'udp',
+  };
+}
+
+// Read TURN_SECRET / TURN_URLS / TURN_TTL. Returns null when TURN_SECRET is
+// unset; otherwise { secret, urls, ttl, errors, warnings } — callers must not
+// use a config that has errors.
+function turnRestConfigFromEnv(env) {
+  const secret = env.TURN_SECRET;
+  if (!secret) return null;
+
+  const errors = [];
+  const warnings = [];
+
+  if (secret.length < MIN_SECRET_LENGTH) {
+    warnings.push(`TURN_SECRET is shorter than ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  const urls = String(env.TURN_URLS || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+  if (urls.length === 0) {
+    errors.push('TURN_URLS is empty (e.g. turn:turn.example.com:3478,turns:turn.example.com:5349)');
+  }
+  for (const url of urls) {
+    if (!parseTurnUrl(url)) errors.push(`TURN_URLS entry "${url}" is not a turn: or turns: URL`);
+  }
+
+  let ttl = DEFAULT_TTL_SECONDS;
+  if (env.TURN_TTL) {
+    ttl = parseInt(env.TURN_TTL, 10);
+    if (!Number.isInteger(ttl) || ttl < 60 || ttl > MAX_TTL_SECONDS) {
+      errors.push(`TURN_TTL must be between 60 and ${MAX_TTL_SECONDS} seconds`);
+      ttl = DEFAULT_TTL_SECONDS;
+    }
+  }
+
+  return { secret, urls, ttl, errors, warnings };
+}
+
+// An RTCIceServer entry valid for `config.ttl` seconds, and when it expires (ms)
+function mintTurnCredentials(config, userId, now = Date.now()) {
+  const expiry = Math.floor(now / 1000) + config.ttl;
+  const username = `${expiry}:${userId}`;
+  const credential = crypto.createHmac('sha1', config.secret).update(username).digest('base64');
+  return { iceServer: { urls: config.urls, username, credential }, expiresAt: expiry * 1000 };
+}
+
+// --- Reachability check (startup only) ---
+
+// A STUN Binding request; coturn answers these without authentication
+function stunBindingRequest() {
+  const msg = Buffer.alloc(20);
+  msg.writeUInt16BE(0x0001, 0); // Binding request
+  msg.writeUInt16BE(0, 2); // no attributes
+  msg.writeUInt32BE(0x2112a442, 4); // magic cookie
+  crypto.randomBytes(12).copy(msg, 8); // transaction ID
+  return msg;
+}
+
+function isStunResponse(msg, request) {
+  return msg.length >= 20 && msg.readUInt32BE(4) === 0x2112a442 && msg.subarray(8, 20).equals(request.subarray(8, 20));
+}
+
+function checkUdp({ host, port }, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const sock = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    const request = stunBindingRequest();
+    const timer = setTimeout(() => {
+      sock.close();
+      reject(new Error(`no STUN response within ${timeoutMs} ms`));
+    }, timeoutMs);
+    sock.on('message', (msg) => {
+      if (!isStunResponse(msg, request)) return;
+      clearTimeout(timer);
+      sock.close();
+      resolve();
+    });
+    sock.on('error', (err) => {
+      clearTimeout(timer);
+      sock.close();
+      reject(err);
+    });
+    sock.send(request, port, host);
+  });
+}
+
+function checkStream({ host, port, secure }, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const sock = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host })
+      : net.connect({ host, port });
+    sock.setTimeout(timeoutMs, () => {
+      sock.destroy();
+      reject(new Error(`no connection within ${timeoutMs} ms`));
+    });
+    sock.once(secure ? 'secureConnect' : 'connect', () => {
+      sock.destroy();
+      resolve();
+    });
+    sock.once('error', reject);
+  });
+}
+
+// Resolves to [{ url, ok, error }] — one entry per configured URL
+function checkTurnServers(config, timeoutMs = 3000) {
+  return Promise.all(config.urls.map(async (url) => {
+    const target = parseTurnUrl(url);
+    try {
+      if (target.transport === 'udp') await checkUdp(target, timeoutMs);
+      else await checkStream(target, timeoutMs);
+      return { url, ok: true };
+    } catch (err) {
+      return { url, ok: false, error: err.message };
+    }
+  }));
+}
+
+module.exports = { turnRestConfigFromEnv, mintTurnCredentials, checkTurnServers, parseTurnUrl };
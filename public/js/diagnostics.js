@@ -0,0 +1,46 @@
+(function () {
+  'use strict';
+
+  // Rolling timeline of a call — signaling, ICE and connection states,
+  // candidate pairs, quality changes and periodic stats — for the diagnostics
+  // report. It stays in the browser unless the user copies or sends it.
+  //
+  // Events are { at (ms since epoch), type, ...details }. Details must never
+  // carry secrets (passcodes, tokens, host keys) or chat contents.
+
+  const MAX_EVENTS = 1000;
+
+  class CallDiagnostics {
+    constructor({ limit = MAX_EVENTS } = {}) {
+      this.limit = limit;
+      this.events = [];
+      this.dropped = 0; // oldest events that fell off the end
+      this.startedAt = Date.now();
+    }
+
+    log(type, details = {}) {
+      this.events.push({ at: Date.now(), type, ...details });
+      if (this.events.length > this.limit) {
+        const excess = this.events.length - this.limit;
+        this.events.splice(0, excess);
+        this.dropped += excess;
+      }
+    }
+
+    // The whole report as a plain object; `context` is the caller's picture
+    // of the call right now
+    report(context = {}) {
+      return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        startedAt: new Date(this.startedAt).toISOString(),
+        userAgent: navigator.userAgent,
+        ...context,
+        droppedEvents: this.dropped,
+        events: this.events.slice(),
+      };
+    }
+  }
+
+  window.CallDiagnostics = CallDiagnostics;
+})();
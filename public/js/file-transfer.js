@@ -0,0 +1,448 @@
+// Peer-to-peer file transfer over one RTCDataChannel per peer — file data
+// never goes through the server. Messages on the (ordered, reliable) channel:
+//
+//   { type: 'offer', id, name, size, mime, sha256 }   sender -> receiver
+//   { type: 'accept' | 'decline', id }                receiver -> sender
+//   { type: 'start', id }, binary chunks, { type: 'end', id }
+//   { type: 'result', id, ok }                        receiver -> sender
+//   { type: 'cancel', id }                            either side
+//
+// Control messages are JSON strings. A channel streams one file at a time in
+// each direction, so binary chunks belong to the most recent 'start'.
+(function () {
+  'use strict';
+
+  // 16 KB chunks are safe with every browser's SCTP implementation
+  const CHUNK_SIZE = 16 * 1024;
+  // Stop queueing chunks above this and resume once the buffer drains
+  const MAX_BUFFERED = 1024 * 1024;
+  const BUFFERED_LOW = 256 * 1024;
+  // Received files are held in memory until saved
+  const MAX_FILE_SIZE = 100 * 1024 * 1024;
+  const MAX_NAME_LENGTH = 255;
+
+  // Only these are previewed and keep their type. Anything else (HTML, SVG,
+  // ...) becomes an opaque download, so a blob URL opened in a tab can't run
+  // script on our origin.
+  const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp'];
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function randomId() {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function sha256(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function waitForDrain(channel) {
+    return new Promise((resolve) => {
+      const done = () => {
+        channel.removeEventListener('bufferedamountlow', done);
+        channel.removeEventListener('close', done);
+        resolve();
+      };
+      channel.addEventListener('bufferedamountlow', done);
+      channel.addEventListener('close', done);
+    });
+  }
+
+  function isValidOffer(msg) {
+    return (
+      typeof msg.id === 'string' && msg.id.length > 0 && msg.id.length <= 64 &&
+      typeof msg.name === 'string' && msg.name.length > 0 && msg.name.length <= MAX_NAME_LENGTH &&
+      Number.isInteger(msg.size) && msg.size >= 0 && msg.size <= MAX_FILE_SIZE &&
+      typeof msg.sha256 === 'string' && /^[0-9a-f]{64}$/.test(msg.sha256)
+    );
+  }
+
+  class FileTransfers {
+    // list: element to render transfers into
+    // labelFor(peerId): display name for a participant
+    // onIncoming(): called when someone offers us a file
+    constructor({ list, labelFor, onIncoming }) {
+      this.list = list;
+      this.labelFor = labelFor;
+      this.onIncoming = onIncoming;
+      this.peers = new Map(); // peerId -> { channel, queue, sending, receiving }
+      this.transfers = new Map(); // id -> transfer
+    }
+
+    attachPeer(peerId, channel) {
+      channel.binaryType = 'arraybuffer';
+      channel.bufferedAmountLowThreshold = BUFFERED_LOW;
+      const peer = { channel, queue: [], sending: null, receiving: null };
+      this.peers.set(peerId, peer);
+
+      channel.onmessage = (event) => {
+        if (this.peers.get(peerId) !== peer) return;
+        if (typeof event.data === 'string') {
+          let msg;
+          try {
+            msg = JSON.parse(event.data);
+          } catch {
+            return;
+          }
+          if (msg && typeof msg === 'object') this.handleMessage(peerId, peer, msg);
+        } else {
+          this.handleChunk(peerId, peer, event.data);
+        }
+      };
+    }
+
+    // The peer left or its connection was replaced
+    detachPeer(peerId) {
+      this.peers.delete(peerId);
+      for (const transfer of this.transfers.values()) {
+        if (transfer.peerId === peerId && !transfer.finished) {
+          this.finish(transfer, 'failed', 'Connection closed');
+        }
+      }
+    }
+
+    // Offer each file to each peer; every peer accepts or declines on its own
+    async sendFiles(files, peerIds) {
+      for (const file of files) {
+        const transfers = peerIds.map((peerId) => this.createTransfer({
+          id: randomId(),
+          peerId,
+          outgoing: true,
+          file,
+          name: file.name.slice(0, MAX_NAME_LENGTH) || 'file',
+          size: file.size,
+          mime: file.type,
+          status: 'preparing',
+        }));
+
+        if (file.size > MAX_FILE_SIZE) {
+          for (const transfer of transfers) {
+            this.finish(transfer, 'failed', `Larger than ${formatSize(MAX_FILE_SIZE)}`);
+          }
+          continue;
+        }
+
+        let hash;
+        try {
+          hash = await sha256(file);
+        } catch (err) {
+          for (const transfer of transfers) this.finish(transfer, 'failed', 'Could not read the file');
+          continue;
+        }
+
+        for (const transfer of transfers) {
+          if (transfer.finished) continue;
+          transfer.sha256 = hash;
+          const peer = this.peers.get(transfer.peerId);
+          if (!peer || peer.channel.readyState !== 'open') {
+            this.finish(transfer, 'failed', 'Not connected yet');
+            continue;
+          }
+          this.send(peer, {
+            type: 'offer',
+            id: transfer.id,
+            name: transfer.name,
+            size: transfer.size,
+            mime: transfer.mime,
+            sha256: hash,
+          });
+          this.setStatus(transfer, 'offered');
+        }
+      }
+    }
+
+    // --- Protocol ---
+
+    send(peer, msg) {
+      if (peer.channel.readyState === 'open') peer.channel.send(JSON.stringify(msg));
+    }
+
+    handleMessage(peerId, peer, msg) {
+      if (msg.type === 'offer') {
+        if (!isValidOffer(msg) || this.transfers.has(msg.id)) return;
+        this.createTransfer({
+          id: msg.id,
+          peerId,
+          outgoing: false,
+          name: msg.name,
+          size: msg.size,
+          mime: typeof msg.mime === 'string' ? msg.mime : '',
+          sha256: msg.sha256,
+          status: 'incoming',
+        });
+        this.onIncoming();
+        return;
+      }
+
+      const transfer = this.transfers.get(msg.id);
+      if (!transfer || transfer.peerId !== peerId || transfer.finished) return;
+
+      switch (msg.type) {
+        case 'accept':
+          if (!transfer.outgoing || transfer.status !== 'offered') return;
+          this.setStatus(transfer, 'queued');
+          peer.queue.push(transfer);
+          this.pump(peer);
+          break;
+        case 'decline':
+          if (transfer.outgoing) this.finish(transfer, 'declined');
+          break;
+        case 'start':
+          if (transfer.outgoing || transfer.status !== 'accepted') return;
+          transfer.chunks = [];
+          transfer.bytes = 0;
+          peer.receiving = transfer;
+          this.setStatus(transfer, 'receiving');
+          break;
+        case 'end':
+          if (peer.receiving !== transfer) return;
+          peer.receiving = null;
+          this.verify(peer, transfer);
+          break;
+        case 'result':
+          if (transfer.outgoing && transfer.status === 'sent') {
+            this.finish(transfer, msg.ok ? 'delivered' : 'failed', msg.ok ? null : 'Arrived damaged');
+          }
+          break;
+        case 'cancel':
+          if (peer.receiving === transfer) peer.receiving = null;
+          this.finish(transfer, 'cancelled');
+          break;
+        default:
+          break;
+      }
+    }
+
+    handleChunk(peerId, peer, data) {
+      const transfer = peer.receiving;
+      // Leftovers of a transfer that was cancelled mid-stream
+      if (!transfer) return;
+      transfer.chunks.push(data);
+      transfer.bytes += data.byteLength;
+      if (transfer.bytes > transfer.size) {
+        peer.receiving = null;
+        this.send(peer, { type: 'cancel', id: transfer.id });
+        this.finish(transfer, 'failed', 'Received more data than announced');
+        return;
+      }
+      this.renderProgress(transfer);
+    }
+
+    // One outgoing file at a time per peer
+    async pump(peer) {
+      if (peer.sending || peer.queue.length === 0) return;
+      const transfer = peer.queue.shift();
+      if (transfer.finished) {
+        this.pump(peer);
+        return;
+      }
+      peer.sending = transfer;
+      try {
+        await this.stream(peer, transfer);
+      } catch (err) {
+        if (!transfer.finished) this.finish(transfer, 'failed', err.message);
+      }
+      peer.sending = null;
+      this.pump(peer);
+    }
+
+    async stream(peer, transfer) {
+      const { channel } = peer;
+      this.setStatus(transfer, 'sending');
+      transfer.bytes = 0;
+      this.send(peer, { type: 'start', id: transfer.id });
+
+      for (let offset = 0; offset < transfer.size; offset += CHUNK_SIZE) {
+        if (transfer.finished) return; // cancelled
+        if (channel.bufferedAmount > MAX_BUFFERED) await waitForDrain(channel);
+        if (channel.readyState !== 'open') throw new Error('Connection closed');
+        const chunk = await transfer.file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        channel.send(chunk);
+        transfer.bytes = offset + chunk.byteLength;
+        this.renderProgress(transfer);
+      }
+
+      this.send(peer, { type: 'end', id: transfer.id });
+      this.setStatus(transfer, 'sent');
+    }
+
+    async verify(peer, transfer) {
+      this.setStatus(transfer, 'verifying');
+      const type = PREVIEW_TYPES.includes(transfer.mime) ? transfer.mime : 'application/octet-stream';
+      const blob = new Blob(transfer.chunks, { type });
+      transfer.chunks = null;
+
+      let ok = blob.size === transfer.size;
+      if (ok) {
+        try {
+          ok = (await sha256(blob)) === transfer.sha256;
+        } catch {
+          ok = false;
+        }
+      }
+      this.send(peer, { type: 'result', id: transfer.id, ok });
+      if (!ok) {
+        this.finish(transfer, 'failed', 'Arrived damaged');
+        return;
+      }
+      transfer.url = URL.createObjectURL(blob);
+      this.finish(transfer, 'received');
+    }
+
+    // --- User actions ---
+
+    accept(transfer) {
+      const peer = this.peers.get(transfer.peerId);
+      if (!peer || transfer.status !== 'incoming') return;
+      this.send(peer, { type: 'accept', id: transfer.id });
+      this.setStatus(transfer, 'accepted');
+    }
+
+    decline(transfer) {
+      const peer = this.peers.get(transfer.peerId);
+      if (peer) this.send(peer, { type: 'decline', id: transfer.id });
+      this.finish(transfer, 'declined');
+    }
+
+    cancel(transfer) {
+      const peer = this.peers.get(transfer.peerId);
+      if (peer) {
+        this.send(peer, { type: 'cancel', id: transfer.id });
+        if (peer.receiving === transfer) peer.receiving = null;
+      }
+      this.finish(transfer, 'cancelled');
+    }
+
+    // Take a finished transfer off the list; a received file's memory goes with it
+    dismiss(transfer) {
+      if (transfer.url) URL.revokeObjectURL(transfer.url);
+      transfer.url = null;
+      if (transfer.el) transfer.el.root.remove();
+      this.transfers.delete(transfer.id);
+    }
+
+    // Leaving the call
+    clear() {
+      for (const transfer of [...this.transfers.values()]) this.dismiss(transfer);
+    }
+
+    // --- State & UI ---
+
+    createTransfer(fields) {
+      const transfer = { bytes: 0, finished: false, error: null, url: null, ...fields };
+      this.transfers.set(transfer.id, transfer);
+      this.renderTransfer(transfer);
+      return transfer;
+    }
+
+    setStatus(transfer, status) {
+      transfer.status = status;
+      this.renderTransfer(transfer);
+    }
+
+    finish(transfer, status, error = null) {
+      transfer.finished = true;
+      transfer.error = error;
+      transfer.chunks = null;
+      this.setStatus(transfer, status);
+    }
+
+    statusText(transfer) {
+      const who = this.labelFor(transfer.peerId);
+      const percent = transfer.size ? Math.floor((transfer.bytes / transfer.size) * 100) : 100;
+      switch (transfer.status) {
+        case 'preparing': return 'Preparing...';
+        case 'offered': return `Waiting for ${who} to accept`;
+        case 'queued': return 'Queued';
+        case 'sending': return `Sending to ${who}... ${percent}%`;
+        case 'sent': return `Sent, waiting for ${who} to confirm`;
+        case 'delivered': return `Delivered to ${who}`;
+        case 'incoming': return `${who} wants to send you a file`;
+        case 'accepted': return `Waiting for ${who}...`;
+        case 'receiving': return `Receiving... ${percent}%`;
+        case 'verifying': return 'Checking...';
+        case 'received': return `From ${who}`;
+        case 'declined': return transfer.outgoing ? `${who} declined` : 'Declined';
+        case 'cancelled': return 'Cancelled';
+        case 'failed': return `Failed: ${transfer.error}`;
+        default: return '';
+      }
+    }
+
+    renderTransfer(transfer) {
+      if (!transfer.el) {
+        const el = document.createElement('li');
+        el.className = 'transfer';
+        const name = document.createElement('span');
+        name.className = 'transfer-name';
+        name.textContent = `${transfer.name} (${formatSize(transfer.size)})`;
+        const status = document.createElement('span');
+        status.className = 'transfer-status';
+        const progress = document.createElement('progress');
+        progress.max = 100;
+        const actions = document.createElement('div');
+        actions.className = 'transfer-actions';
+        el.append(name, status, progress, actions);
+        this.list.appendChild(el);
+        transfer.el = { root: el, status, progress, actions };
+      }
+
+      const { root, status, progress, actions } = transfer.el;
+      root.classList.toggle('failed', transfer.status === 'failed');
+      status.textContent = this.statusText(transfer);
+      progress.hidden = !['sending', 'receiving'].includes(transfer.status);
+      this.renderProgress(transfer);
+
+      const buttons = [];
+      if (transfer.status === 'incoming') {
+        buttons.push(this.button('Accept', () => this.accept(transfer), 'primary'));
+        buttons.push(this.button('Decline', () => this.decline(transfer)));
+      } else if (!transfer.finished && transfer.status !== 'sent' && transfer.status !== 'verifying') {
+        buttons.push(this.button('Cancel', () => this.cancel(transfer)));
+      }
+      if (transfer.status === 'received') {
+        if (PREVIEW_TYPES.includes(transfer.mime)) {
+          const img = document.createElement('img');
+          img.className = 'transfer-preview';
+          img.src = transfer.url;
+          img.alt = transfer.name;
+          buttons.push(img);
+        }
+        const link = document.createElement('a');
+        link.className = 'transfer-button primary';
+        link.href = transfer.url;
+        link.download = transfer.name;
+        link.textContent = 'Save';
+        buttons.push(link);
+      }
+      if (transfer.finished) buttons.push(this.button('Dismiss', () => this.dismiss(transfer)));
+      actions.replaceChildren(...buttons);
+    }
+
+    renderProgress(transfer) {
+      if (!transfer.el) return;
+      transfer.el.progress.value = transfer.size ? (transfer.bytes / transfer.size) * 100 : 100;
+      if (transfer.status === 'sending' || transfer.status === 'receiving') {
+        transfer.el.status.textContent = this.statusText(transfer);
+      }
+    }
+
+    button(label, onClick, variant = '') {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `transfer-button ${variant}`.trim();
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    }
+  }
+
+  window.FileTransfers = FileTransfers;
+})();
@@ -1,26 +1,114 @@
 (function () {
   'use strict';
 
+  const roomIds = RoomIdFormat.create(window.ROOM_ID_CONFIG);
+
   const createBtn = document.getElementById('createBtn');
-  const codeInputs = Array.from(document.querySelectorAll('.code-digit'));
+  const codeInputs = buildCodeInputs(document.getElementById('codeInputs'));
   const errorEl = document.getElementById('error');
   const loadingEl = document.getElementById('loading');
   const loadingText = document.getElementById('loadingText');
+  const createPasscode = document.getElementById('createPasscode');
+  const createLobby = document.getElementById('createLobby');
+  const passcodeForm = document.getElementById('passcodeForm');
+  const joinPasscode = document.getElementById('joinPasscode');
+  const displayName = document.getElementById('displayName');
+
+  // Shown to the others in a call; the room page reads it from here too
+  const NAME_STORAGE_KEY = 'alphy-display-name';
 
   let coldStartTimer = null;
   let isJoining = false;
+  let pendingRoomId = null; // room waiting for a passcode
+  let errorTimer = null;
+  let lockoutTimer = null; // set while the server is refusing our attempts
+
+  // The room page reads the passcode from here so it never shows up in the URL
+  function storePasscode(roomId, passcode) {
+    try {
+      sessionStorage.setItem(`alphy-passcode-${roomId}`, passcode);
+    } catch {
+      // Private mode — the room page will prompt instead
+    }
+  }
+
+  // Proves to the server that we created the room, which makes us its host
+  function storeHostKey(roomId, hostKey) {
+    try {
+      sessionStorage.setItem(`alphy-host-${roomId}`, hostKey);
+    } catch {
+      // Private mode — whoever joins first becomes host
+    }
+  }
+
+  function storeName(name) {
+    try {
+      if (name) localStorage.setItem(NAME_STORAGE_KEY, name);
+      else localStorage.removeItem(NAME_STORAGE_KEY);
+    } catch {
+      // Private mode — the room page goes without a name
+    }
+  }
+
+  function showPasscodePrompt(roomId) {
+    pendingRoomId = roomId;
+    passcodeForm.hidden = false;
+    joinPasscode.value = '';
+    joinPasscode.focus();
+  }
 
   function showError(msg) {
+    if (lockoutTimer) return;
     errorEl.textContent = msg;
     errorEl.hidden = false;
-    setTimeout(() => { errorEl.hidden = true; }, 5000);
+    clearTimeout(errorTimer);
+    errorTimer = setTimeout(() => { errorEl.hidden = true; }, 5000);
+  }
+
+  function setInputsDisabled(disabled) {
+    createBtn.disabled = disabled;
+    codeInputs.forEach((input) => { input.disabled = disabled; });
+  }
+
+  // Server answered 429 — lock the form and count down until we may retry
+  function showTooManyAttempts(retryAfter) {
+    hideLoading();
+    clearTimeout(errorTimer);
+    clearInterval(lockoutTimer);
+    const until = Date.now() + (retryAfter || 60) * 1000;
+
+    const tick = () => {
+      const seconds = Math.ceil((until - Date.now()) / 1000);
+      if (seconds <= 0) {
+        clearInterval(lockoutTimer);
+        lockoutTimer = null;
+        errorEl.hidden = true;
+        setInputsDisabled(false);
+        return;
+      }
+      const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`;
+      errorEl.textContent = `Too many attempts. Try again in ${wait}.`;
+    };
+
+    setInputsDisabled(true);
+    errorEl.hidden = false;
+    lockoutTimer = setInterval(tick, 1000);
+    tick();
+  }
+
+  async function readRetryAfter(res) {
+    try {
+      const { retryAfter } = await res.json();
+      return retryAfter;
+    } catch {
+      return parseInt(res.headers.get('Retry-After'), 10);
+    }
   }
 
   function showLoading(msg) {
     loadingText.textContent = msg;
     loadingEl.hidden = false;
-    createBtn.disabled = true;
-    codeInputs.forEach((input) => { input.disabled = true; });
+    setInputsDisabled(true);
 
     // Show cold start hint after 3 seconds
     coldStartTimer = setTimeout(() => {
@@ -30,30 +118,65 @@
 
   function hideLoading() {
     loadingEl.hidden = true;
-    createBtn.disabled = false;
-    codeInputs.forEach((input) => { input.disabled = false; });
+    if (!lockoutTimer) setInputsDisabled(false);
     if (coldStartTimer) {
       clearTimeout(coldStartTimer);
       coldStartTimer = null;
     }
   }
 
+  // One box per character for fixed-length codes, a single field for word codes
+  function buildCodeInputs(container) {
+    container.textContent = '';
+    const count = roomIds.isCode ? roomIds.config.length : 1;
+    for (let i = 0; i < count; i++) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.autocomplete = 'off';
+      input.spellcheck = false;
+      input.setAttribute('autocapitalize', 'off');
+      input.dataset.index = String(i);
+      if (roomIds.isCode) {
+        input.className = 'code-digit';
+        input.maxLength = 1;
+        if (roomIds.isNumeric) {
+          input.inputMode = 'numeric';
+          input.pattern = '[0-9]*';
+        }
+      } else {
+        input.className = 'code-words';
+        input.placeholder = 'blue-otter-42';
+      }
+      container.appendChild(input);
+    }
+    return Array.from(container.querySelectorAll('input'));
+  }
+
   function extractRoomId(input) {
-    const trimmed = input.trim();
-    if (!trimmed) return null;
-    const matches = trimmed.match(/(\d{4})(?!\d)/g);
-    if (!matches) return null;
-    return matches[matches.length - 1];
+    return roomIds.extract(input);
+  }
+
+  // Keep only characters that can appear in a code (digits stay for legacy IDs)
+  function sanitizeCode(text) {
+    const normalized = roomIds.normalize(text);
+    if (!roomIds.isCode) return normalized;
+    return Array.from(normalized)
+      .filter((ch) => roomIds.config.alphabet.includes(ch) || /\d/.test(ch))
+      .join('');
   }
 
   function readCode() {
-    return codeInputs.map((input) => input.value).join('');
+    return roomIds.normalize(codeInputs.map((input) => input.value).join(''));
   }
 
   function fillCode(code) {
-    const digits = code.split('');
+    if (!roomIds.isCode) {
+      codeInputs[0].value = code;
+      return;
+    }
+    const chars = code.split('');
     codeInputs.forEach((input, index) => {
-      input.value = digits[index] || '';
+      input.value = chars[index] || '';
     });
   }
 
@@ -63,22 +186,41 @@
   }
 
   async function joinRoom(roomId) {
-    if (isJoining) return;
+    if (isJoining || lockoutTimer) return;
     isJoining = true;
     showLoading('Joining room...');
     try {
       const res = await fetch(`/api/rooms/${roomId}`);
+      if (res.status === 429) {
+        showTooManyAttempts(await readRetryAfter(res));
+        return;
+      }
       if (res.status === 404) {
         hideLoading();
         showError('Room not found. Check the code and try again.');
         return;
       }
+      if (res.status === 410) {
+        hideLoading();
+        showError('This call has ended.');
+        return;
+      }
       const data = await res.json();
       if (data.isFull) {
         hideLoading();
         showError('Room is full (max 4 people).');
         return;
       }
+      if (data.isLocked) {
+        hideLoading();
+        showError('This call is locked. Ask someone in the call to unlock it.');
+        return;
+      }
+      if (data.requiresPasscode) {
+        hideLoading();
+        showPasscodePrompt(roomId);
+        return;
+      }
       window.location.href = `/${roomId}`;
     } catch (err) {
       hideLoading();
@@ -91,18 +233,38 @@
   function maybeJoin() {
     const code = readCode();
     const allFilled = codeInputs.every((input) => input.value !== '');
-    if (allFilled && /^\d{4}$/.test(code)) {
+    if (allFilled && roomIds.test(code)) {
       joinRoom(code);
     }
   }
 
   // Create room
   createBtn.addEventListener('click', async () => {
+    const passcode = createPasscode.value;
+    const settings = {};
+    if (passcode) settings.passcode = passcode;
+    if (createLobby.checked) settings.lobby = true;
     showLoading('Creating room...');
     try {
-      const res = await fetch('/api/rooms', { method: 'POST' });
+      const res = await fetch('/api/rooms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings),
+      });
+      if (res.status === 429) {
+        showTooManyAttempts(await readRetryAfter(res));
+        return;
+      }
+      if (res.status === 400) {
+        const { error } = await res.json();
+        hideLoading();
+        showError(error);
+        return;
+      }
       if (!res.ok) throw new Error('Failed to create room');
-      const { roomId } = await res.json();
+      const { roomId, hostKey } = await res.json();
+      if (passcode) storePasscode(roomId, passcode);
+      if (hostKey) storeHostKey(roomId, hostKey);
       window.location.href = `/${roomId}`;
     } catch (err) {
       hideLoading();
@@ -110,12 +272,24 @@
     }
   });
 
+  passcodeForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const passcode = joinPasscode.value;
+    if (!pendingRoomId || !passcode) return;
+    storePasscode(pendingRoomId, passcode);
+    window.location.href = `/${pendingRoomId}`;
+  });
+
   // Code inputs behavior
   codeInputs.forEach((input, index) => {
     input.addEventListener('input', () => {
-      const digits = input.value.replace(/\D/g, '');
+      if (!roomIds.isCode) {
+        maybeJoin();
+        return;
+      }
+      const digits = sanitizeCode(input.value);
       if (digits.length > 1) {
-        // Distribute pasted digits across inputs
+        // Distribute pasted characters across inputs
         const available = codeInputs.length - index;
         const chunk = digits.slice(0, available);
         chunk.split('').forEach((digit, offset) => {
@@ -146,7 +320,7 @@
       }
       if (e.key === 'Enter') {
         const code = readCode();
-        if (/^\d{4}$/.test(code)) {
+        if (roomIds.test(code)) {
           joinRoom(code);
         }
       }
@@ -162,6 +336,15 @@
     });
   });
 
+  try {
+    displayName.value = localStorage.getItem(NAME_STORAGE_KEY) || '';
+  } catch {
+    // Private mode
+  }
+  displayName.addEventListener('input', () => {
+    storeName(displayName.value.replace(/\s+/g, ' ').trim());
+  });
+
   // Auto-fill from URL query param (e.g., ?room=abc123)
   const params = new URLSearchParams(window.location.search);
   const roomParam = params.get('room');
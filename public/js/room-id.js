@@ -0,0 +1,90 @@
+// Room ID format, shared by the server (require) and the browser (script tag)
+// so routes, join validation and link parsing all agree on what an ID is.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RoomIdFormat = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Four-digit codes were the only format before IDs became configurable.
+  // Links people already shared must keep working whatever the current format.
+  const LEGACY_PATTERN = '\\d{4}';
+
+  // adjective-animal-NN, e.g. blue-otter-42
+  const WORD_PATTERN = '[a-z]{2,12}-[a-z]{2,12}-\\d{2}';
+
+  const DEFAULT_CONFIG = { format: 'code', length: 4, alphabet: '0123456789' };
+
+  // Top-level paths the app serves itself. Some formats can spell them (a
+  // four-letter code can be "test"), so they are never room IDs.
+  const RESERVED_IDS = ['api', 'css', 'js', 'room', 'test'];
+
+  function isReserved(id) {
+    return RESERVED_IDS.includes(String(id).toLowerCase());
+  }
+
+  function escapeForClass(chars) {
+    return chars.replace(/[\\\]^-]/g, '\\$&');
+  }
+
+  function create(config) {
+    const cfg = { ...DEFAULT_CONFIG, ...config };
+    const primary = cfg.format === 'words'
+      ? WORD_PATTERN
+      : `[${escapeForClass(cfg.alphabet)}]{${cfg.length}}`;
+    const source = `${primary}|${LEGACY_PATTERN}`;
+
+    const exact = new RegExp(`^(?:${source})$`);
+    const isRoomId = (id) => exact.test(id) && !isReserved(id);
+
+    // IDs are matched case-insensitively unless the alphabet itself mixes case
+    const caseSensitive = cfg.format !== 'words' && /[a-z]/.test(cfg.alphabet) && /[A-Z]/.test(cfg.alphabet);
+    const upperOnly = cfg.format !== 'words' && !caseSensitive && /[A-Z]/.test(cfg.alphabet);
+
+    function normalize(id) {
+      const trimmed = String(id).trim();
+      if (caseSensitive) return trimmed;
+      return upperOnly ? trimmed.toUpperCase() : trimmed.toLowerCase();
+    }
+
+    return {
+      config: cfg,
+      pattern: source,
+
+      // True for the fixed-length single-alphabet formats a code box UI can show
+      isCode: cfg.format !== 'words',
+      isNumeric: cfg.format !== 'words' && /^\d+$/.test(cfg.alphabet),
+
+      normalize,
+
+      test(id) {
+        return typeof id === 'string' && isRoomId(id);
+      },
+
+      // Room ID from a page path like "/1234" or "/room/blue-otter-42"
+      fromPath(pathname) {
+        const match = String(pathname).match(/^\/(?:room\/)?([^/]+)\/?$/);
+        if (!match) return null;
+        const id = normalize(match[1]);
+        return isRoomId(id) ? id : null;
+      },
+
+      // Last room ID found in free text, e.g. a pasted invite link
+      extract(text) {
+        const scan = new RegExp(`(?:^|[^A-Za-z0-9-])(${source})(?![A-Za-z0-9-])`, 'g');
+        const haystack = normalize(text);
+        let found = null;
+        let match;
+        while ((match = scan.exec(haystack)) !== null) {
+          if (!isReserved(match[1])) found = match[1];
+        }
+        return found;
+      },
+    };
+  }
+
+  return { create, isReserved, DEFAULT_CONFIG };
+});
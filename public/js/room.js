@@ -10,11 +10,246 @@
     { width: 640,  height: 360,  frameRate: 20, maxBitrate: 600000,   label: '360p' },
   ];
 
+  // Screen share frame rate for each quality tier. Shared text needs its
+  // resolution more than smooth motion, so a share keeps its full size and
+  // gives up frames instead.
+  const SCREEN_FRAME_RATES = [30, 24, 15, 10, 5];
+
+  // Per-peer adaptation. A link is struggling when the peer reports more
+  // packet loss or a longer round trip than this, or when the bandwidth
+  // estimate can't carry the tier's bitrate with some headroom; it must be
+  // well inside all of them (against the next tier up) to step back up.
+  const LOSS_DEGRADE = 0.08;
+  const LOSS_IMPROVE = 0.02;
+  const RTT_DEGRADE_S = 0.5;
+  const RTT_IMPROVE_S = 0.3;
+  const BITRATE_HEADROOM = 0.5;
+  // Our own maxBitrate cap shows up as a "bandwidth" limit too, so only the
+  // estimate above counts for that. A "cpu" limit is this device's, and no
+  // bitrate helps with it: the camera is captured smaller and slower instead,
+  // for everyone, after this many readings in a row (and back up after
+  // CPU_RECOVER_READINGS without one).
+  const CPU_DEGRADE_READINGS = 3;
+  const CPU_RECOVER_READINGS = 15;
+
+  // Connection quality bars on each tile: 3 is good, and a reading past any
+  // of these limits takes it down to 2 or 1. Loss is the worse direction's.
+  const QUALITY_FAIR = { loss: 0.02, rtt: 0.3, jitter: 0.03 };
+  const QUALITY_POOR = { loss: 0.08, rtt: 0.6, jitter: 0.1 };
+  const QUALITY_LABELS = ['measuring', 'poor', 'fair', 'good'];
+
+  function formatBitrate(bps) {
+    return bps >= 1000000 ? (bps / 1000000).toFixed(1) + ' Mbps' : Math.round(bps / 1000) + ' kbps';
+  }
+
+  function bitsPerSecond(report, prior, field) {
+    if (!prior || report.timestamp <= prior.timestamp) return null;
+    return ((report[field] - prior[field]) * 8) / ((report.timestamp - prior.timestamp) / 1000);
+  }
+
+  // Codec, size, frame rate and bitrate of one video RTP stream
+  function describeRtp(stats, report, prior, bytesField) {
+    const codec = report.codecId && stats.get(report.codecId);
+    return {
+      codec: codec ? codec.mimeType.replace(/^video\//, '') : null,
+      width: report.frameWidth || null,
+      height: report.frameHeight || null,
+      fps: report.framesPerSecond || null,
+      bitrate: bitsPerSecond(report, prior, bytesField),
+    };
+  }
+
+  // One connection's getStats() report, boiled down. `previous` is the last
+  // report (null on the first reading), for rates and for loss over the
+  // interval. Only the camera counts for `sent` and `received`: screens are
+  // told apart by track id.
+  function summarizeStats(stats, previous, { screenTrackId, remoteScreenTrackId }) {
+    const summary = {
+      sent: null, // describeRtp() of our camera
+      received: null, // and of theirs
+      sendingVideo: false,
+      cpuLimited: false, // one of our video encoders is held back by this device's CPU
+      outboundLoss: null, // of what we send, as the peer reports it
+      inboundLoss: null, // of what they send
+      rtt: null, // seconds
+      jitter: null, // seconds, of their audio
+      freezes: 0, // in their video since the last reading
+      freezeCount: 0, // in total
+      availableBitrate: null,
+      route: null, // { local, remote } candidate types
+    };
+    const prior = (report) => (previous ? previous.get(report.id) : null);
+    let lost = 0;
+    let received = 0;
+    let remoteRtt = null;
+
+    for (const report of stats.values()) {
+      if (report.type === 'outbound-rtp' && report.kind === 'video') {
+        summary.sendingVideo = true;
+        if (report.qualityLimitationReason === 'cpu') summary.cpuLimited = true;
+        const source = report.mediaSourceId && stats.get(report.mediaSourceId);
+        // A screen sent in place of the camera still counts
+        if (!summary.sent || !source || source.trackIdentifier !== screenTrackId) {
+          summary.sent = describeRtp(stats, report, prior(report), 'bytesSent');
+        }
+      } else if (report.type === 'inbound-rtp') {
+        const before = prior(report);
+        if (before) {
+          lost += Math.max(0, report.packetsLost - before.packetsLost);
+          received += Math.max(0, report.packetsReceived - before.packetsReceived);
+        }
+        if (report.kind === 'audio') {
+          if (typeof report.jitter === 'number') summary.jitter = report.jitter;
+        } else if (report.trackIdentifier !== remoteScreenTrackId) {
+          summary.received = describeRtp(stats, report, before, 'bytesReceived');
+          summary.freezeCount = report.freezeCount || 0;
+          if (before) summary.freezes = Math.max(0, summary.freezeCount - (before.freezeCount || 0));
+        }
+      } else if (report.type === 'remote-inbound-rtp' && report.kind === 'video') {
+        if (typeof report.fractionLost === 'number') {
+          summary.outboundLoss = Math.max(summary.outboundLoss ?? 0, report.fractionLost);
+        }
+        if (typeof report.roundTripTime === 'number') remoteRtt = Math.max(remoteRtt ?? 0, report.roundTripTime);
+      } else if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.nominated) {
+        const local = stats.get(report.localCandidateId);
+        const remote = stats.get(report.remoteCandidateId);
+        summary.route = { local: local ? local.candidateType : null, remote: remote ? remote.candidateType : null };
+        if (typeof report.currentRoundTripTime === 'number') summary.rtt = report.currentRoundTripTime;
+        if (typeof report.availableOutgoingBitrate === 'number') {
+          summary.availableBitrate = report.availableOutgoingBitrate;
+        }
+      }
+    }
+
+    if (summary.rtt === null) summary.rtt = remoteRtt;
+    if (lost + received > 0) summary.inboundLoss = lost / (lost + received);
+    return summary;
+  }
+
+  // 1 (poor) to 3 (good); 0 before the first reading
+  function qualityLevel(summary) {
+    if (!summary) return 0;
+    const loss = Math.max(summary.inboundLoss ?? 0, summary.outboundLoss ?? 0);
+    const rtt = summary.rtt ?? 0;
+    const jitter = summary.jitter ?? 0;
+    const past = (limits) => loss > limits.loss || rtt > limits.rtt || jitter > limits.jitter;
+    if (past(QUALITY_POOR)) return 1;
+    if (past(QUALITY_FAIR) || summary.freezes > 0) return 2;
+    return 3;
+  }
+
+  // Small stroked icons for the buttons built here, one path per stroke
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const ICONS = {
+    pin: [
+      'M12 17v5',
+      'M9 10.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24V16a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V7a1 1 0 0 1 1-1 2 2 0 0 0 0-4H8a2 2 0 0 0 0 4 1 1 0 0 1 1 1z',
+    ],
+    swap: ['M17 1l4 4-4 4', 'M3 11V9a4 4 0 0 1 4-4h14', 'M7 23l-4-4 4-4', 'M21 13v2a4 4 0 0 1-4 4H3'],
+    fullscreen: ['M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3'],
+  };
+
+  function createIcon(name) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    const attributes = {
+      width: 16,
+      height: 16,
+      viewBox: '0 0 24 24',
+      fill: 'none',
+      stroke: 'currentColor',
+      'stroke-width': 2,
+      'stroke-linecap': 'round',
+      'stroke-linejoin': 'round',
+    };
+    for (const [key, value] of Object.entries(attributes)) svg.setAttribute(key, value);
+    for (const d of ICONS[name]) {
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', d);
+      svg.appendChild(path);
+    }
+    return svg;
+  }
+
+  // Refresh TURN credentials this long before they expire (or at 80% of
+  // their lifetime, if that is sooner), and retry this often when it fails
+  const ICE_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+  const ICE_REFRESH_RETRY_MS = 30 * 1000;
+
+  // ICE restarts per peer: the first right away, then backing off. Each delay
+  // also gives the previous restart time to finish before trying again.
+  const ICE_RESTART_BACKOFF_MS = [0, 8000, 15000, 30000];
+  // 'disconnected' often recovers by itself (a few lost packets), so wait a bit
+  const ICE_DISCONNECTED_GRACE_MS = 4000;
+
+  // Chat: messages kept (and handed to new joiners), and the longest message.
+  // The server's relay fallback enforces the same limits.
+  const CHAT_HISTORY_LIMIT = 50;
+  const CHAT_MAX_LENGTH = 1000;
+
+  // Display name, shared with the landing page. The server trims it to the
+  // same length.
+  const NAME_STORAGE_KEY = 'alphy-display-name';
+  const NAME_MAX_LENGTH = 40;
+
+  // Chosen microphone, camera and speaker: { [kind]: { deviceId, label } },
+  // kept per browser. The label finds the device again if its ID changes.
+  const DEVICE_STORAGE_KEY = 'alphy-devices';
+  const DEVICE_KINDS = ['audioinput', 'videoinput', 'audiooutput'];
+  const DEVICE_NAMES = { audioinput: 'Microphone', videoinput: 'Camera', audiooutput: 'Speaker' };
+  // Chrome's stand-ins for "whatever the system uses", not real devices
+  const PSEUDO_DEVICE_IDS = ['default', 'communications'];
+
+  // Pre-join: how often to refresh who's in the call, and how much to
+  // amplify the mic level (speech RMS is small) for the meter
+  const PREJOIN_POLL_MS = 10000;
+  const MIC_METER_GAIN = 4;
+
+  // Active speaker. Audio levels (0..1) are read this often; a tile lights up
+  // at SPEAKING_LEVEL and goes dark after SPEAKING_HOLD_MS below it. Speaker
+  // view moves to someone else only once they have been the loudest for
+  // SPEAKER_SWITCH_MS, so people talking over each other don't make it flicker.
+  const SPEAKER_POLL_MS = 250;
+  const SPEAKING_LEVEL = 0.04;
+  const SPEAKING_HOLD_MS = 800;
+  const SPEAKER_SWITCH_MS = 1500;
+  // 'speaker' or 'grid', kept per browser
+  const LAYOUT_STORAGE_KEY = 'alphy-layout';
+  // Random ID for this browser, sent when joining so the server can keep a
+  // removed participant out without keeping out everyone on their network
+  const CLIENT_ID_STORAGE_KEY = 'alphy-client-id';
+
+  const AUDIO_CONSTRAINTS = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+  };
+
+  // Diagnostics: a stats snapshot goes into the timeline every this many
+  // readings per peer (readings come every 2 s)
+  const DIAGNOSTICS_STATS_EVERY = 5;
+
+  // What the timeline records of a signaling message: the event, who it's
+  // from or to, and the description or candidate type. Never the payload
+  // itself — join messages carry passcodes and tokens, chat carries words.
+  function describeSignal(event, msg) {
+    const entry = { event };
+    if (!msg || typeof msg !== 'object') return entry;
+    if (typeof msg.sender === 'string') entry.peer = msg.sender;
+    if (typeof msg.target === 'string') entry.peer = msg.target;
+    if (msg.sdp && typeof msg.sdp.type === 'string') entry.sdp = msg.sdp.type;
+    if (msg.candidate && typeof msg.candidate.candidate === 'string') {
+      const match = / typ (\w+)/.exec(msg.candidate.candidate);
+      entry.candidate = match ? match[1] : 'end-of-candidates';
+    }
+    if (typeof msg.reason === 'string') entry.reason = msg.reason;
+    return entry;
+  }
+
   // --- RoomManager ---
   class RoomManager {
     constructor() {
-      const pathMatch = window.location.pathname.match(/\/(\d{4})\/?$/);
-      this.roomId = pathMatch ? pathMatch[1] : null;
+      const roomIds = RoomIdFormat.create(window.ROOM_ID_CONFIG);
+      this.roomId = roomIds.fromPath(window.location.pathname);
       if (!this.roomId) {
         window.location.href = '/';
         return;
@@ -22,8 +257,11 @@
 
       this.socket = null;
       this.localStream = null;
-      this.peers = new Map(); // socketId -> { pc, stream, videoEl, lastStatBytes, lastStatTime }
+      this.peers = new Map(); // participantId -> { pc, polite, state, stream, videoEl, ... }
       this.iceServers = [];
+      this.iceServersExpireAt = null; // ms, client clock; null = never
+      this.iceRefreshTimer = null;
+      this.iceFetch = null;
       this.isMuted = false;
       this.isVideoOff = false;
       this.usingBackCamera = false;
@@ -31,11 +269,87 @@
       this.wakeLock = null;
       this.statsInterval = null;
       this.audioContext = null;
-
-      // Adaptive quality state
-      this.currentTierIndex = 0; // Start at highest
-      this.degradeCount = 0;
-      this.improveCount = 0;
+      this.passcode = this.readStoredPasscode();
+      // Set if we created the room; gets us host controls on our first join
+      this.hostKey = this.readStoredHostKey();
+      this.hostId = null; // participant with host controls
+      this.noticeAction = null;
+      this.noticeTimer = null;
+      // Lobby: our request while we wait to be let in, and (once in) whether
+      // the room has a lobby and who is waiting in it
+      this.knockId = null;
+      this.lobbyEnabled = false;
+      this.waiting = []; // { requestId, name }
+      // Our seat in the room; kept per tab so a reload can take it back
+      this.session = this.readStoredSession(); // { participantId, resumeToken } | null
+      this.clientId = this.readClientId();
+      this.hasJoined = false;
+      this.isLocked = false;
+
+      // Connection state: 'connecting' -> 'joining' -> 'joined', then
+      // 'reconnecting' -> 'joining' -> 'joined' after a drop; 'closed' when
+      // the server ends our session. Peers have their own state (see setPeerState).
+      this.connectionState = 'connecting';
+      this.reconnectAttempt = 0;
+      this.isOnline = navigator.onLine !== false;
+
+      // Names. The roster is who is in the call per the server, in join
+      // order; names also remembers people who left, for old chat messages.
+      this.displayName = this.readStoredName();
+      this.roster = []; // { participantId, name }
+      this.names = new Map(); // participantId -> name, or null if they gave none
+
+      // Chat, sorted by sentAt
+      this.chatMessages = []; // { id, from, text, sentAt, relayedBy }
+      this.chatIds = new Set();
+      this.chatSeq = 0;
+      this.unreadCount = 0;
+
+      // Screen share we send, and whether it stands in for the camera (sent
+      // on the camera's sender) rather than going alongside it
+      this.screenStream = null;
+      this.screenReplacesCamera = false;
+
+      // Devices: the user's choices, the speaker remote audio plays on (null
+      // for the system default), and what the last scan found — to spot
+      // newly plugged-in devices. Switches run one at a time.
+      this.devicePrefs = this.readStoredDevices();
+      this.speakerId = null;
+      this.devices = [];
+      this.knownDevices = null; // Set of `${kind}:${deviceId}`
+      this.deviceSwitch = Promise.resolve();
+      // Refreshes who's in the call while the pre-join screen is up
+      this.prejoinPoll = null;
+      this.onDeviceChange = this.onDeviceChange.bind(this);
+
+      // Who is talking (see pollSpeakers): the speaker view enlarges the
+      // active speaker, and a louder voice becomes the candidate to replace
+      // them once it has lasted
+      this.speakerView = this.readStoredLayout() === 'speaker';
+      this.speakerInterval = null;
+      this.pollingSpeakers = false;
+      this.activeSpeakerId = null;
+      this.speakerCandidate = null; // { peerId, since }
+      this.localSpeakingUntil = 0;
+
+      // Tile modes, kept by tile key (peer ID, plus ':screen' for a shared
+      // screen) so they come back when the peer does: the tile pinned to fill
+      // the screen, and the peer swapped into the self view. While swapped,
+      // our video sits in localTile, in the grid, and pipTile is the peer's
+      // tile inside #pip (see arrangePip).
+      this.pinnedTile = null;
+      this.swappedId = null;
+      this.pipTile = null;
+      this.localTile = document.createElement('div');
+      this.localTile.className = 'video-wrapper local-tile';
+
+      // Tier the camera is captured at; each peer has its own (see
+      // applyCaptureTier)
+      this.captureTierIndex = 0; // Start at highest
+      // Lowest tier the CPU lets us capture at; see adaptCpuQuality
+      this.cpuTierIndex = 0;
+      this.cpuDegradeCount = 0;
+      this.cpuRecoverCount = 0;
 
       // DOM refs
       this.videoGrid = document.getElementById('videoGrid');
@@ -43,16 +357,79 @@
       this.pip = document.getElementById('pip');
       this.statusOverlay = document.getElementById('statusOverlay');
       this.statusText = document.getElementById('statusText');
+      this.connectionBanner = document.getElementById('connectionBanner');
       this.roomCode = document.getElementById('roomCode');
       this.participantCount = document.getElementById('participantCount');
-      this.relayBadge = document.getElementById('relayBadge');
-      this.statsDisplay = document.getElementById('statsDisplay');
+      this.rosterPanel = document.getElementById('rosterPanel');
+      this.rosterList = document.getElementById('rosterList');
+      this.nameForm = document.getElementById('nameForm');
+      this.nameInput = document.getElementById('nameInput');
+      this.localName = document.getElementById('localName');
+      this.endCallBtn = document.getElementById('endCallBtn');
+      this.settingsBtn = document.getElementById('settingsBtn');
+      this.speakerViewBtn = document.getElementById('speakerViewBtn');
+      this.prejoinScreen = document.getElementById('prejoinScreen');
+      this.prejoinPreview = document.getElementById('prejoinPreview');
+      this.prejoinVideo = document.getElementById('prejoinVideo');
+      this.micLevel = document.getElementById('micLevel');
+      this.prejoinMuteBtn = document.getElementById('prejoinMuteBtn');
+      this.prejoinVideoBtn = document.getElementById('prejoinVideoBtn');
+      this.prejoinDevicesBtn = document.getElementById('prejoinDevicesBtn');
+      this.prejoinStatus = document.getElementById('prejoinStatus');
+      this.prejoinForm = document.getElementById('prejoinForm');
+      this.prejoinName = document.getElementById('prejoinName');
+      this.settingsPanel = document.getElementById('settingsPanel');
+      this.micSelect = document.getElementById('micSelect');
+      this.cameraSelect = document.getElementById('cameraSelect');
+      this.speakerSelect = document.getElementById('speakerSelect');
+      this.speakerRow = document.getElementById('speakerRow');
+      this.copyDiagnosticsBtn = document.getElementById('copyDiagnosticsBtn');
+      this.sendDiagnosticsBtn = document.getElementById('sendDiagnosticsBtn');
+      this.hostNotice = document.getElementById('hostNotice');
+      this.hostNoticeText = document.getElementById('hostNoticeText');
+      this.hostNoticeAction = document.getElementById('hostNoticeAction');
+      this.hostNoticeClose = document.getElementById('hostNoticeClose');
+      this.lobbyToggleRow = document.getElementById('lobbyToggleRow');
+      this.lobbyToggle = document.getElementById('lobbyToggle');
+      this.knockList = document.getElementById('knockList');
+      this.waitingScreen = document.getElementById('waitingScreen');
+      this.waitingSpinner = document.getElementById('waitingSpinner');
+      this.waitingText = document.getElementById('waitingText');
+      this.waitingLeaveBtn = document.getElementById('waitingLeaveBtn');
       this.muteBtn = document.getElementById('muteBtn');
       this.videoBtn = document.getElementById('videoBtn');
       this.flipBtn = document.getElementById('flipBtn');
+      this.screenBtn = document.getElementById('screenBtn');
       this.leaveBtn = document.getElementById('leaveBtn');
       this.copyLinkBtn = document.getElementById('copyLinkBtn');
       this.copyToast = document.getElementById('copyToast');
+      this.lockBtn = document.getElementById('lockBtn');
+      this.passcodeForm = document.getElementById('passcodeForm');
+      this.passcodeInput = document.getElementById('passcodeInput');
+      this.chatBtn = document.getElementById('chatBtn');
+      this.chatBadge = document.getElementById('chatBadge');
+      this.chatPanel = document.getElementById('chatPanel');
+      this.chatCloseBtn = document.getElementById('chatCloseBtn');
+      this.chatList = document.getElementById('chatList');
+      this.chatForm = document.getElementById('chatForm');
+      this.chatInput = document.getElementById('chatInput');
+      this.transferList = document.getElementById('transferList');
+      this.attachBtn = document.getElementById('attachBtn');
+      this.fileInput = document.getElementById('fileInput');
+
+      // Timeline for the diagnostics report
+      this.diagnostics = new CallDiagnostics();
+
+      // File transfers run over their own data channel to each peer
+      this.fileTransfers = new FileTransfers({
+        list: this.transferList,
+        labelFor: (peerId) => this.participantLabel(peerId),
+        onIncoming: () => {
+          if (!this.chatPanel.hidden) return;
+          this.unreadCount++;
+          this.updateChatBadge();
+        },
+      });
 
       this.roomCode.textContent = this.roomId;
       this.init();
@@ -64,15 +441,27 @@
         await this.acquireMedia();
         this.initAudioContext();
         this.updateMirror();
-        this.statusText.textContent = 'Fetching connection config...';
-        await this.fetchIceServers();
+        await this.scanDevices();
+        this.speakerId = this.preferredDevice('audiooutput', this.devices);
+        this.renderDevicePickers();
+        navigator.mediaDevices.addEventListener('devicechange', this.onDeviceChange);
+        this.bindControls();
+        this.renderNames();
+
+        // Credentials load while the user looks at the preview. A reload
+        // mid-call skips the preview and goes straight back in, so it keeps
+        // its seat.
+        const iceServers = this.fetchIceServers();
+        if (!this.session) await this.preJoin();
+        this.showStatus('Fetching connection config...');
+        await iceServers;
         this.statusText.textContent = 'Connecting to server...';
         this.connectSocket();
-        this.bindControls();
+        this.watchNetwork();
         this.setupPipDrag();
         this.requestWakeLock();
-        await this.detectCameras();
         this.startStatsMonitoring();
+        this.startSpeakerDetection();
       } catch (err) {
         this.handleMediaError(err);
       }
@@ -81,20 +470,11 @@
     // --- Media ---
 
     async acquireMedia() {
-      const tier = QUALITY_TIERS[this.currentTierIndex];
-
+      // Stored choices are only hints here: if one is unplugged, we get the default
+      const mic = this.preferredDevice('audioinput');
       const constraints = {
-        video: {
-          width: { ideal: tier.width },
-          height: { ideal: tier.height },
-          frameRate: { ideal: tier.frameRate },
-          facingMode: 'user',
-        },
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-        },
+        video: this.cameraConstraints(this.preferredDevice('videoinput')),
+        audio: { ...AUDIO_CONSTRAINTS, ...(mic && { deviceId: { ideal: mic } }) },
       };
 
       try {
@@ -114,6 +494,7 @@
     }
 
     handleMediaError(err) {
+      this.diagnostics.log('media-error', { name: err.name, message: err.message });
       let msg;
       switch (err.name) {
         case 'NotAllowedError':
@@ -132,57 +513,457 @@
       this.statusOverlay.classList.add('error');
     }
 
-    async detectCameras() {
+    // Camera at the capture tier: a given device (preferred, or `exact`), or
+    // else the front camera
+    cameraConstraints(deviceId, { exact = false } = {}) {
+      const tier = QUALITY_TIERS[this.captureTierIndex];
+      return {
+        width: { ideal: tier.width },
+        height: { ideal: tier.height },
+        frameRate: { ideal: tier.frameRate },
+        ...(deviceId ? { deviceId: exact ? { exact: deviceId } : { ideal: deviceId } } : { facingMode: 'user' }),
+      };
+    }
+
+    flipCamera() {
+      if (!this.hasMultipleCameras) return;
+      this.queueDeviceSwitch(async () => {
+        const facingMode = this.usingBackCamera ? 'user' : 'environment';
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: { exact: facingMode } },
+          audio: false,
+        });
+        this.usingBackCamera = facingMode === 'environment';
+        await this.replaceCamera(stream.getVideoTracks()[0]);
+        this.storeDevicePref('videoinput', this.currentDeviceId('videoinput'));
+      });
+    }
+
+    // Put a new camera track in place of the old one on every connection (no
+    // renegotiation), unless a screen share is using the camera's sender
+    async replaceCamera(track) {
+      track.enabled = !this.isVideoOff;
+      if (!(this.screenStream && this.screenReplacesCamera)) {
+        for (const [, peer] of this.peers) {
+          await peer.cameraSender?.replaceTrack(track);
+        }
+      }
+
+      const oldTrack = this.localStream.getVideoTracks()[0];
+      if (oldTrack) {
+        this.localStream.removeTrack(oldTrack);
+        oldTrack.stop();
+      }
+      this.localStream.addTrack(track);
+      this.localVideo.srcObject = this.localStream;
+      if (!this.prejoinScreen.hidden) this.prejoinVideo.srcObject = this.localStream;
+      const { facingMode } = track.getSettings();
+      if (facingMode) this.usingBackCamera = facingMode === 'environment';
+      this.updateMirror();
+      // The new camera needs the capture tier, and senders its size
+      this.applyCaptureTier(true);
+    }
+
+    async replaceMicrophone(track) {
+      track.enabled = !this.isMuted;
+      for (const [, peer] of this.peers) {
+        await peer.micSender?.replaceTrack(track);
+      }
+
+      const oldTrack = this.localStream.getAudioTracks()[0];
+      if (oldTrack) {
+        this.localStream.removeTrack(oldTrack);
+        oldTrack.stop();
+      }
+      this.localStream.addTrack(track);
+    }
+
+    updateMirror() {
+      // Only mirror front camera — back camera should show natural orientation
+      const transform = this.usingBackCamera ? 'none' : 'scaleX(-1)';
+      this.localVideo.style.transform = transform;
+      this.prejoinVideo.style.transform = transform;
+    }
+
+    // --- Pre-join ---
+
+    // Preview, mic check and who's in the call, before the room sees any of
+    // it. Resolves when the user presses Join; nothing connects until then.
+    preJoin() {
+      this.hideStatus();
+      this.prejoinScreen.hidden = false;
+      this.prejoinVideo.srcObject = this.localStream;
+      this.prejoinName.value = this.displayName;
+      const stopMeter = this.startMicMeter();
+      this.loadRoomInfo();
+      this.prejoinPoll = setInterval(() => this.loadRoomInfo(), PREJOIN_POLL_MS);
+
+      return new Promise((resolve) => {
+        this.prejoinForm.addEventListener('submit', (e) => {
+          e.preventDefault();
+          clearInterval(this.prejoinPoll);
+          this.prejoinPoll = null;
+          stopMeter();
+          if (this.prejoinName.value !== this.displayName) this.setDisplayName(this.prejoinName.value);
+          this.toggleSettings(false);
+          this.prejoinScreen.hidden = true;
+          this.prejoinVideo.srcObject = null;
+          resolve();
+        }, { once: true });
+      });
+    }
+
+    // Occupancy from the REST API. It doesn't touch the room, so it can't
+    // be mistaken for joining.
+    async loadRoomInfo() {
+      let text = '';
       try {
-        const devices = await navigator.mediaDevices.enumerateDevices();
-        const cameras = devices.filter((d) => d.kind === 'videoinput');
-        this.hasMultipleCameras = cameras.length > 1;
-        this.flipBtn.hidden = !this.hasMultipleCameras;
+        const res = await fetch(`/api/rooms/${encodeURIComponent(this.roomId)}`);
+        if (res.status === 404) {
+          // The room only exists once someone joins, so stop asking
+          clearInterval(this.prejoinPoll);
+          text = "Nobody's here yet. You'll be the first.";
+        } else if (res.status === 410) {
+          clearInterval(this.prejoinPoll);
+          text = 'The host ended this call. The link no longer works.';
+        } else if (res.ok) {
+          const info = await res.json();
+          if (info.isLocked) {
+            text = 'This call is locked. Ask someone in it to unlock it.';
+          } else if (info.isFull) {
+            text = `This call is full (${info.maxParticipants} people).`;
+          } else if (info.participants === 0) {
+            text = "Nobody's here yet. You'll be the first.";
+          } else {
+            text = `${info.participants} ${info.participants === 1 ? 'person is' : 'people are'} in the call.`;
+            if (info.hasLobby && !this.hostKey) text += ' Someone will let you in.';
+          }
+          if (info.requiresPasscode && !this.passcode) text += " You'll need the passcode.";
+        }
       } catch {
-        // Flip button stays hidden
+        // Leave it blank; joining will tell
       }
+      this.prejoinStatus.textContent = text;
     }
 
-    async flipCamera() {
-      if (!this.hasMultipleCameras) return;
+    // Live input level of whatever mic is in use; returns a stop function
+    startMicMeter() {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return () => {};
+      const context = new AudioContextClass();
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 1024;
+      const samples = new Float32Array(analyser.fftSize);
+      let track = null;
+      let source = null;
+      let frame = null;
+
+      // Some browsers start it suspended until the page is touched
+      const resume = () => context.resume().catch(() => {});
+      resume();
+      document.addEventListener('pointerdown', resume, { once: true });
+
+      const draw = () => {
+        // Follow mic switches from the device picker
+        const current = this.localStream.getAudioTracks()[0] || null;
+        if (current !== track) {
+          if (source) source.disconnect();
+          track = current;
+          source = track ? context.createMediaStreamSource(new MediaStream([track])) : null;
+          if (source) source.connect(analyser);
+        }
+        analyser.getFloatTimeDomainData(samples);
+        let sum = 0;
+        for (const sample of samples) sum += sample * sample;
+        const level = Math.min(1, Math.sqrt(sum / samples.length) * MIC_METER_GAIN);
+        this.micLevel.style.transform = `scaleX(${level})`;
+        frame = requestAnimationFrame(draw);
+      };
+      draw();
+
+      return () => {
+        cancelAnimationFrame(frame);
+        document.removeEventListener('pointerdown', resume);
+        if (source) source.disconnect();
+        context.close().catch(() => {});
+      };
+    }
 
-      this.usingBackCamera = !this.usingBackCamera;
+    // --- Devices ---
 
+    readStoredDevices() {
       try {
-        const newStream = await navigator.mediaDevices.getUserMedia({
-          video: {
-            facingMode: { exact: this.usingBackCamera ? 'environment' : 'user' },
-          },
+        const prefs = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY));
+        return prefs && typeof prefs === 'object' ? prefs : {};
+      } catch {
+        return {};
+      }
+    }
+
+    // An empty deviceId forgets the choice (back to the system default)
+    storeDevicePref(kind, deviceId) {
+      if (deviceId) {
+        const device = this.devices.find((d) => d.kind === kind && d.deviceId === deviceId);
+        this.devicePrefs[kind] = { deviceId, label: device ? device.label : '' };
+      } else {
+        delete this.devicePrefs[kind];
+      }
+      try {
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(this.devicePrefs));
+      } catch {
+        // Private mode — keep it for this call only
+      }
+    }
+
+    // The stored choice for `kind` if it's plugged in, matched by ID and then
+    // by label. Without a device list, just the stored ID.
+    preferredDevice(kind, devices = null) {
+      const pref = this.devicePrefs[kind];
+      if (!pref) return null;
+      if (!devices) return pref.deviceId;
+      const match =
+        devices.find((d) => d.kind === kind && d.deviceId === pref.deviceId) ||
+        devices.find((d) => d.kind === kind && pref.label && d.label === pref.label);
+      return match ? match.deviceId : null;
+    }
+
+    // Device in use: '' means the system default
+    currentDeviceId(kind) {
+      if (kind === 'audiooutput') return this.speakerId || '';
+      const track = kind === 'audioinput'
+        ? this.localStream.getAudioTracks()[0]
+        : this.localStream.getVideoTracks()[0];
+      return (track && track.readyState === 'live' && track.getSettings().deviceId) || '';
+    }
+
+    async scanDevices() {
+      try {
+        this.devices = (await navigator.mediaDevices.enumerateDevices()).filter((d) => d.deviceId);
+      } catch {
+        // Pickers and flip button keep what they had
+        return;
+      }
+      this.knownDevices = new Set(this.devices.map((d) => `${d.kind}:${d.deviceId}`));
+      this.hasMultipleCameras = this.devices.filter((d) => d.kind === 'videoinput').length > 1;
+      this.flipBtn.hidden = !this.hasMultipleCameras;
+    }
+
+    renderDevicePickers() {
+      const pickers = { audioinput: this.micSelect, videoinput: this.cameraSelect, audiooutput: this.speakerSelect };
+      for (const kind of DEVICE_KINDS) {
+        const select = pickers[kind];
+        const options = this.devices
+          .filter((d) => d.kind === kind)
+          .map((device, i) => new Option(device.label || `${DEVICE_NAMES[kind]} ${i + 1}`, device.deviceId));
+        if (kind === 'audiooutput') options.unshift(new Option('System default', ''));
+        select.replaceChildren(...options);
+        select.value = this.currentDeviceId(kind);
+      }
+      // Choosing the speaker needs setSinkId (not in Safari on iOS or Firefox by default)
+      this.speakerRow.hidden = !('setSinkId' in HTMLMediaElement.prototype);
+    }
+
+    toggleSettings(open = this.settingsPanel.hidden) {
+      this.settingsPanel.hidden = !open;
+      if (open) {
+        this.toggleRoster(false);
+        this.queueDeviceSwitch(() => this.scanDevices());
+      }
+    }
+
+    // Device switches (and the rescans after them) run one at a time
+    queueDeviceSwitch(task) {
+      this.deviceSwitch = this.deviceSwitch
+        .then(task)
+        .catch((err) => {
+          console.error('Device switch failed:', err);
+          this.diagnostics.log('device-error', { name: err.name, message: err.message });
+        })
+        .then(() => this.renderDevicePickers());
+      return this.deviceSwitch;
+    }
+
+    // Picked in the settings panel: use it and remember it
+    pickDevice(kind, deviceId) {
+      this.queueDeviceSwitch(async () => {
+        await this.useDevice(kind, deviceId);
+        this.storeDevicePref(kind, deviceId);
+      });
+    }
+
+    async useDevice(kind, deviceId) {
+      this.diagnostics.log('device', { kind, deviceId });
+      if (kind === 'audiooutput') {
+        this.speakerId = deviceId || null;
+        await Promise.all([...this.peers.values()].map((peer) => this.applySpeaker(peer.videoEl)));
+      } else if (kind === 'audioinput') {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: { ...AUDIO_CONSTRAINTS, ...(deviceId && { deviceId: { exact: deviceId } }) },
+          video: false,
+        });
+        await this.replaceMicrophone(stream.getAudioTracks()[0]);
+      } else {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: this.cameraConstraints(deviceId, { exact: true }),
           audio: false,
         });
+        await this.replaceCamera(stream.getVideoTracks()[0]);
+      }
+    }
 
-        const newTrack = newStream.getVideoTracks()[0];
-        const oldTrack = this.localStream.getVideoTracks()[0];
+    applySpeaker(video) {
+      if (!video.setSinkId) return Promise.resolve();
+      return video.setSinkId(this.speakerId || '').catch((err) => {
+        console.warn('Could not switch speaker:', err);
+      });
+    }
 
-        // Replace track on all peer connections (no renegotiation)
-        for (const [, peer] of this.peers) {
-          const sender = peer.pc.getSenders().find((s) => s.track?.kind === 'video');
-          if (sender) {
-            await sender.replaceTrack(newTrack);
+    // Something was plugged in or out. A new device is taken into use right
+    // away (a headset plugged in mid-call); if the one in use went away, we
+    // fall back to the stored choice or the system default.
+    onDeviceChange() {
+      if (this.connectionState === 'closed') return;
+      this.queueDeviceSwitch(async () => {
+        const before = this.knownDevices;
+        await this.scanDevices();
+        for (const kind of DEVICE_KINDS) {
+          const present = this.devices.filter((d) => d.kind === kind);
+          const added = before && present.find(
+            (d) => !before.has(`${kind}:${d.deviceId}`) && !PSEUDO_DEVICE_IDS.includes(d.deviceId)
+          );
+          const current = this.currentDeviceId(kind);
+          let next;
+          if (added) {
+            next = added.deviceId;
+          } else if (kind !== 'audiooutput' && !current) {
+            // Our track ended with its device
+            next = this.preferredDevice(kind, this.devices) || '';
+          } else if (current && !present.some((d) => d.deviceId === current)) {
+            next = this.preferredDevice(kind, this.devices) || '';
+          } else {
+            continue;
           }
+          if (next === current && current) continue;
+          console.log(`${DEVICE_NAMES[kind]} changed to`, next || 'system default');
+          await this.useDevice(kind, next);
         }
+      });
+    }
 
-        // Replace in local stream
-        this.localStream.removeTrack(oldTrack);
-        oldTrack.stop();
-        this.localStream.addTrack(newTrack);
-        this.localVideo.srcObject = this.localStream;
-        this.updateMirror();
+    // --- Screen Share ---
+
+    async toggleScreenShare() {
+      if (this.screenStream) {
+        this.stopScreenShare();
+        return;
+      }
+
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getDisplayMedia({
+          video: { frameRate: { ideal: SCREEN_FRAME_RATES[this.captureTierIndex] } },
+          audio: false,
+        });
       } catch (err) {
-        // Revert on failure
-        this.usingBackCamera = !this.usingBackCamera;
-        console.error('Camera flip failed:', err);
+        // NotAllowedError is the user dismissing the picker
+        if (err.name !== 'NotAllowedError') console.error('Screen share failed:', err);
+        return;
       }
+
+      const track = stream.getVideoTracks()[0];
+      track.contentHint = 'detail';
+      // The browser's own "Stop sharing" button ends the track
+      track.onended = () => this.stopScreenShare();
+
+      this.screenStream = stream;
+      // With the camera off, the screen simply takes its place (no
+      // renegotiation); otherwise it goes out as a second video track
+      this.screenReplacesCamera = this.isVideoOff;
+      for (const peerId of this.peers.keys()) this.shareScreenWith(peerId);
+      this.screenBtn.classList.add('sharing');
+      this.adjustQuality();
     }
 
-    updateMirror() {
-      // Only mirror front camera — back camera should show natural orientation
-      this.localVideo.style.transform = this.usingBackCamera ? 'none' : 'scaleX(-1)';
+    // Announce first: the peer needs to know which incoming stream is the
+    // screen before its track arrives
+    shareScreenWith(peerId) {
+      const peer = this.peers.get(peerId);
+      const track = this.screenStream.getVideoTracks()[0];
+      this.socket.emit('screen-share', {
+        target: peerId,
+        screen: {
+          streamId: this.screenReplacesCamera ? null : this.screenStream.id,
+          replacesCamera: this.screenReplacesCamera,
+        },
+      });
+
+      if (this.screenReplacesCamera) {
+        peer.cameraSender?.replaceTrack(track).catch((err) => {
+          console.error('Could not send screen to', peerId, err);
+        });
+      } else {
+        // Triggers onnegotiationneeded
+        peer.screenSender = peer.pc.addTrack(track, this.screenStream);
+      }
+    }
+
+    // Also runs when sharing is stopped from the browser's UI; puts the camera back
+    stopScreenShare() {
+      const stream = this.screenStream;
+      if (!stream) return;
+      this.screenStream = null;
+      for (const track of stream.getTracks()) {
+        track.onended = null;
+        track.stop();
+      }
+
+      const cameraTrack = this.localStream.getVideoTracks()[0] || null;
+      for (const [peerId, peer] of this.peers) {
+        if (this.screenReplacesCamera) {
+          peer.cameraSender?.replaceTrack(cameraTrack).catch((err) => {
+            console.error('Could not restore camera for', peerId, err);
+          });
+        } else if (peer.screenSender) {
+          peer.pc.removeTrack(peer.screenSender);
+          peer.screenSender = null;
+        }
+        this.socket.emit('screen-share', { target: peerId, screen: { streamId: null, replacesCamera: false } });
+      }
+
+      this.screenReplacesCamera = false;
+      this.screenBtn.classList.remove('sharing');
+      this.adjustQuality();
+    }
+
+    // A peer started or stopped sharing. A screen on its own stream gets a
+    // tile of its own once the track arrives (see ontrack); one sent in place
+    // of the camera just changes how the peer's tile is shown.
+    onRemoteScreenShare(peerId, screen) {
+      const peer = this.peers.get(peerId);
+      if (!peer) return;
+      peer.remoteScreen = screen.streamId ? screen : null;
+      peer.videoEl.parentNode.classList.toggle('screen-share', screen.replacesCamera);
+      if (!screen.streamId) this.hideRemoteScreen(peerId);
+    }
+
+    showRemoteScreen(peerId, stream) {
+      const peer = this.peers.get(peerId);
+      if (!peer.screenEl) {
+        peer.screenEl = this.createRemoteVideo(peerId, { screen: true });
+        this.updateLayout();
+      }
+      if (peer.screenEl.srcObject !== stream) {
+        peer.screenEl.srcObject = stream;
+        peer.screenEl.play().catch(() => {});
+      }
+    }
+
+    hideRemoteScreen(peerId) {
+      const peer = this.peers.get(peerId);
+      if (!peer || !peer.screenEl) return;
+      peer.screenEl.parentNode.remove();
+      peer.screenEl = null;
+      this.updateLayout();
     }
 
     // --- AudioContext (iOS speaker routing fix) ---
@@ -214,13 +995,56 @@
 
     // --- ICE Servers ---
 
-    async fetchIceServers() {
+    // Fetch (or refresh) ICE servers, push them into every open connection and
+    // schedule the next refresh. Concurrent callers share one request.
+    fetchIceServers() {
+      if (!this.iceFetch) {
+        this.iceFetch = this.loadIceServers().finally(() => {
+          this.iceFetch = null;
+        });
+      }
+      return this.iceFetch;
+    }
+
+    async loadIceServers() {
+      clearTimeout(this.iceRefreshTimer);
       try {
         const res = await fetch('/api/turn-credentials');
-        const servers = await res.json();
-        this.iceServers = servers;
-      } catch {
-        this.iceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const { iceServers, ttl } = await res.json();
+        this.iceServers = iceServers;
+        this.iceServersExpireAt = ttl === null ? null : Date.now() + ttl * 1000;
+        this.applyIceServers();
+        if (ttl !== null) {
+          const lifetime = ttl * 1000;
+          const refreshIn = Math.min(lifetime * 0.8, lifetime - ICE_REFRESH_MARGIN_MS);
+          this.iceRefreshTimer = setTimeout(() => this.fetchIceServers(), Math.max(refreshIn, ICE_REFRESH_RETRY_MS));
+        }
+      } catch (err) {
+        console.warn('Could not fetch ICE servers:', err);
+        if (this.iceServers.length === 0) {
+          this.iceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
+        }
+        // Keep what we have, but try again before it runs out
+        if (this.iceServersExpireAt !== null) {
+          this.iceRefreshTimer = setTimeout(() => this.fetchIceServers(), ICE_REFRESH_RETRY_MS);
+        }
+      }
+    }
+
+    iceServersStale() {
+      return this.iceServersExpireAt !== null && Date.now() > this.iceServersExpireAt - ICE_REFRESH_RETRY_MS;
+    }
+
+    // New credentials only matter for future candidate gathering — i.e. the
+    // next ICE restart — so existing connections are not disturbed
+    applyIceServers() {
+      for (const [peerId, peer] of this.peers) {
+        try {
+          peer.pc.setConfiguration({ ...peer.pc.getConfiguration(), iceServers: this.iceServers });
+        } catch (err) {
+          console.warn('Could not update ICE servers for', peerId, err);
+        }
       }
     }
 
@@ -231,98 +1055,678 @@
         transports: ['websocket', 'polling'],
       });
 
+      this.socket.onAny((event, msg) => this.diagnostics.log('signal-in', describeSignal(event, msg)));
+      this.socket.onAnyOutgoing((event, msg) => this.diagnostics.log('signal-out', describeSignal(event, msg)));
+      this.socket.on('connect_error', (err) => this.diagnostics.log('socket-error', { message: err.message }));
+
       this.socket.on('connect', () => {
-        this.socket.emit('join-room', { roomId: this.roomId });
+        this.setConnectionState('joining');
+        this.joinRoom();
       });
 
-      this.socket.on('room-joined', ({ participants }) => {
+      // socket.io fires these on the Manager, not the socket
+      this.socket.io.on('reconnect_attempt', (attempt) => {
+        this.reconnectAttempt = attempt;
+        this.renderConnectionStatus();
+      });
+
+      this.socket.on('room-joined', ({ participantId, resumeToken, resumed, participants, locked, lobby }) => {
         this.hideStatus();
+        this.waitingScreen.hidden = true;
+        this.knockId = null;
+        this.lobbyEnabled = lobby;
+        this.updateLockButton(locked);
+        const reattach = resumed && this.hasJoined;
+        this.storeSession({ participantId, resumeToken });
+        // Only good for the first join; after that host status moves on its own
+        this.storeHostKey(null);
+        this.hasJoined = true;
+        this.reconnectAttempt = 0;
+        this.setConnectionState('joined');
+
+        if (reattach) {
+          // Same seat as before the socket dropped — keep the connections
+          // that are still there and catch up on who came and went meanwhile
+          for (const peerId of [...this.peers.keys()]) {
+            if (!participants.includes(peerId)) this.removePeer(peerId);
+          }
+          for (const peerId of participants) {
+            if (this.peers.has(peerId)) {
+              this.recoverPeer(peerId);
+            } else {
+              // They joined while we were away
+              this.createPeerConnection(peerId);
+            }
+          }
+        } else {
+          for (const peerId of [...this.peers.keys()]) this.removePeer(peerId);
+          for (const peerId of participants) {
+            this.createPeerConnection(peerId);
+          }
+        }
         this.updateParticipantCount();
+      });
 
-        // New joiner creates offers to all existing peers
-        for (const peerId of participants) {
-          this.createPeerConnection(peerId, true);
+      this.socket.on('participant-joined', ({ participantId }) => {
+        // Someone we knew came back without their old connections (reload)
+        this.removePeer(participantId);
+        this.createPeerConnection(participantId);
+        this.updateParticipantCount();
+        this.adjustQuality();
+        // Catch them up on the chat. Everyone already here does this; the
+        // receiver drops duplicates.
+        if (this.chatMessages.length > 0) {
+          this.sendChat(participantId, { type: 'history', messages: this.chatMessages });
         }
       });
 
-      this.socket.on('participant-joined', ({ socketId }) => {
-        this.createPeerConnection(socketId, false);
+      this.socket.on('participant-resumed', ({ participantId }) => {
+        this.recoverPeer(participantId);
+      });
+
+      this.socket.on('offer', ({ sender, sdp }) => {
+        this.handleDescription(sender, sdp);
+      });
+
+      this.socket.on('answer', ({ sender, sdp }) => {
+        this.handleDescription(sender, sdp);
+      });
+
+      this.socket.on('ice-candidate', ({ sender, candidate }) => {
+        this.handleCandidate(sender, candidate);
+      });
+
+      this.socket.on('chat', ({ sender, payload }) => {
+        this.receiveChat(sender, payload);
+      });
+
+      this.socket.on('roster', ({ participants, host, waiting }) => {
+        this.applyRoster(participants, host);
+        this.waiting = waiting;
+        this.renderKnocks();
+      });
+
+      this.socket.on('waiting-for-admission', ({ requestId }) => {
+        this.knockId = requestId;
+        this.showWaitingScreen('Someone in the call will let you in shortly.');
+      });
+
+      this.socket.on('admitted', () => {
+        this.showWaitingScreen('Joining...');
+        this.joinRoom();
+      });
+
+      this.socket.on('knock-denied', () => {
+        this.knockId = null;
+        this.socket.disconnect();
+        this.showWaitingScreen("Sorry, you weren't let into this call.", { done: true });
+      });
+
+      // Everyone left while we waited, so there's nobody to ask
+      this.socket.on('knock-retry', () => {
+        this.knockId = null;
+        this.joinRoom();
+      });
+
+      this.socket.on('lobby-changed', ({ enabled }) => {
+        this.lobbyEnabled = enabled;
+        this.renderRoster();
+      });
+
+      this.socket.on('mute-requested', () => {
+        if (this.isMuted) return;
+        this.showNotice('The host asked you to mute.', {
+          label: 'Mute',
+          run: () => {
+            if (!this.isMuted) this.toggleMute();
+          },
+        });
+      });
+
+      this.socket.on('removed', () => {
+        this.endCall('The host removed you from the call.');
+      });
+
+      this.socket.on('room-ended', () => {
+        this.endCall('The host ended the call.');
+      });
+
+      this.socket.on('screen-share', ({ sender, screen }) => {
+        this.onRemoteScreenShare(sender, screen);
+      });
+
+      this.socket.on('participant-left', ({ participantId }) => {
+        this.removePeer(participantId);
         this.updateParticipantCount();
         this.adjustQuality();
       });
 
-      this.socket.on('offer', async ({ sender, sdp }) => {
-        const peer = this.peers.get(sender);
-        if (!peer) return;
-        try {
-          await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp));
-          const answer = await peer.pc.createAnswer();
-          await peer.pc.setLocalDescription(answer);
-          this.socket.emit('answer', {
-            target: sender,
-            sdp: peer.pc.localDescription,
-          });
-        } catch (err) {
-          console.error('Error handling offer from', sender, err);
+      // Server refused to relay one of our signaling messages
+      this.socket.on('signal-error', ({ event, target, reason }) => {
+        console.warn(`Signaling ${event} to ${target} rejected: ${reason}`);
+      });
+
+      this.socket.on('passcode-required', () => {
+        this.showPasscodePrompt('This call is protected. Enter the passcode to join.');
+      });
+
+      this.socket.on('passcode-invalid', () => {
+        this.storePasscode(null);
+        this.showPasscodePrompt('Wrong passcode. Try again.');
+      });
+
+      this.socket.on('room-locked', () => {
+        this.statusText.textContent = 'This call is locked. Ask someone in the call to unlock it.';
+        this.statusOverlay.hidden = false;
+        this.statusOverlay.classList.add('error');
+        setTimeout(() => {
+          window.location.href = '/';
+        }, 3000);
+      });
+
+      this.socket.on('too-many-attempts', ({ retryAfter }) => {
+        const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+        this.passcodeForm.hidden = true;
+        this.statusText.textContent = `Too many attempts. Try again in ${minutes} min.`;
+        this.statusOverlay.hidden = false;
+        this.statusOverlay.classList.add('error');
+        this.socket.disconnect();
+      });
+
+      this.socket.on('room-lock-changed', ({ locked }) => {
+        this.updateLockButton(locked);
+      });
+
+      this.socket.on('room-full', () => {
+        this.statusText.textContent = 'Room is full (max 4 people).';
+        this.statusOverlay.hidden = false;
+        this.statusOverlay.classList.add('error');
+        setTimeout(() => {
+          window.location.href = '/';
+        }, 3000);
+      });
+
+      this.socket.on('disconnect', (reason) => {
+        if (reason === 'io client disconnect') {
+          // We hung up ourselves
+          this.setConnectionState('closed');
+          return;
+        }
+        if (reason === 'io server disconnect') {
+          // The server won't let us back in on its own (e.g. this seat was
+          // taken over by another tab), so don't reconnect
+          this.setConnectionState('closed', 'Disconnected from the call. Reload the page to rejoin.');
+          return;
         }
+        this.setConnectionState('reconnecting');
       });
+    }
 
-      this.socket.on('answer', async ({ sender, sdp }) => {
-        const peer = this.peers.get(sender);
-        if (!peer) return;
-        try {
-          await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp));
-        } catch (err) {
-          console.error('Error handling answer from', sender, err);
+    // --- Connection state ---
+
+    setConnectionState(state, message = null) {
+      if (state !== this.connectionState) this.diagnostics.log('call-state', { state });
+      this.connectionState = state;
+      this.closedMessage = message;
+      this.renderConnectionStatus();
+    }
+
+    watchNetwork() {
+      window.addEventListener('offline', () => {
+        this.isOnline = false;
+        this.renderConnectionStatus();
+      });
+
+      window.addEventListener('online', () => {
+        this.isOnline = true;
+        this.renderConnectionStatus();
+        if (this.connectionState === 'closed') return;
+        // Don't wait out socket.io's reconnect backoff
+        if (!this.socket.connected) this.socket.connect();
+        // The network path changed, so the current candidate pairs may be
+        // dead even if ICE hasn't noticed yet
+        for (const [peerId, peer] of this.peers) {
+          peer.needsRestart = true;
+          if (this.connectionState === 'joined') this.triggerIceRestart(peerId);
+        }
+      });
+    }
+
+    // One line for whatever is wrong right now, worst first. Before the first
+    // join the full-screen overlay is still up, so use that instead.
+    renderConnectionStatus() {
+      let text = null;
+      let isError = false;
+      if (this.connectionState === 'closed') {
+        text = this.closedMessage;
+        isError = true;
+      } else if (!this.isOnline) {
+        text = "You're offline. Waiting for the network...";
+      } else if (this.connectionState === 'reconnecting') {
+        text = this.reconnectAttempt > 1
+          ? `Connection to the server lost. Reconnecting (attempt ${this.reconnectAttempt})...`
+          : 'Connection to the server lost. Reconnecting...';
+      } else if (this.connectionState === 'joining' && this.hasJoined) {
+        text = 'Rejoining the call...';
+      } else {
+        const peers = [...this.peers.values()];
+        const lost = peers.filter((p) => p.state === 'failed').length;
+        const reconnecting = peers.filter((p) => p.state === 'reconnecting').length;
+        if (lost > 0) {
+          text = `Can't reach ${lost === 1 ? 'a participant' : `${lost} participants`}. Still trying...`;
+        } else if (reconnecting > 0) {
+          text = `Reconnecting to ${reconnecting === 1 ? 'a participant' : `${reconnecting} participants`}...`;
+        }
+      }
+
+      if (!this.hasJoined) {
+        const overlayBusy = this.statusOverlay.classList.contains('error') ||
+          this.statusOverlay.classList.contains('prompt');
+        if (text && !overlayBusy) this.statusText.textContent = text;
+        return;
+      }
+      this.connectionBanner.hidden = !text;
+      this.connectionBanner.textContent = text || '';
+      this.connectionBanner.classList.toggle('error', isError);
+    }
+
+    // Peer states: 'connecting' -> 'connected'; 'reconnecting' while ICE is
+    // being restarted; 'failed' once several restarts haven't helped (still
+    // retrying, but the user should know)
+    setPeerState(peerId, state) {
+      const peer = this.peers.get(peerId);
+      if (!peer || peer.state === state) return;
+      peer.state = state;
+      const wrapper = peer.videoEl && peer.videoEl.parentNode;
+      if (wrapper) wrapper.dataset.state = state;
+      this.renderConnectionStatus();
+    }
+
+    onIceStateChange(peerId, pc) {
+      const peer = this.peers.get(peerId);
+      if (!peer || peer.pc !== pc) return;
+      this.diagnostics.log('ice-state', { peer: peerId, state: pc.iceConnectionState });
+
+      switch (pc.iceConnectionState) {
+        case 'connected':
+        case 'completed':
+          clearTimeout(peer.restartTimer);
+          peer.restartTimer = null;
+          peer.restartAttempts = 0;
+          this.setPeerState(peerId, 'connected');
+          break;
+        case 'disconnected':
+          if (peer.state !== 'failed') this.setPeerState(peerId, 'reconnecting');
+          this.scheduleIceRestart(peerId, ICE_DISCONNECTED_GRACE_MS);
+          break;
+        case 'failed':
+          if (peer.state !== 'failed') this.setPeerState(peerId, 'reconnecting');
+          this.scheduleIceRestart(peerId);
+          break;
+        default:
+          break;
+      }
+    }
+
+    // Keep restarting with backoff until ICE is connected again
+    scheduleIceRestart(peerId, minDelay = 0) {
+      const peer = this.peers.get(peerId);
+      if (!peer || peer.restartTimer) return;
+
+      const backoff = ICE_RESTART_BACKOFF_MS[Math.min(peer.restartAttempts, ICE_RESTART_BACKOFF_MS.length - 1)];
+      peer.restartTimer = setTimeout(() => {
+        peer.restartTimer = null;
+        if (this.peers.get(peerId) !== peer) return;
+        const state = peer.pc.iceConnectionState;
+        if (state === 'connected' || state === 'completed') return;
+
+        if (this.connectionState !== 'joined') {
+          // No signaling right now; recoverPeer() picks it up after rejoining
+          peer.needsRestart = true;
+          return;
         }
+        peer.restartAttempts++;
+        if (peer.restartAttempts >= ICE_RESTART_BACKOFF_MS.length) this.setPeerState(peerId, 'failed');
+        this.triggerIceRestart(peerId);
+        this.scheduleIceRestart(peerId);
+      }, Math.max(minDelay, backoff));
+    }
+
+    triggerIceRestart(peerId) {
+      const peer = this.peers.get(peerId);
+      if (!peer) return;
+      peer.needsRestart = false;
+      this.restartIce(peer.pc);
+    }
+
+    joinRoom() {
+      const resume = this.session && {
+        participantId: this.session.participantId,
+        token: this.session.resumeToken,
+        // Only a page that still has its peer connections can reattach
+        reattach: this.hasJoined,
+      };
+      this.socket.emit('join-room', {
+        roomId: this.roomId,
+        passcode: this.passcode,
+        name: this.displayName,
+        hostKey: this.hostKey,
+        knock: this.knockId,
+        clientId: this.clientId,
+        resume,
       });
+    }
+
+    // --- Session ---
+
+    readStoredSession() {
+      try {
+        const session = JSON.parse(sessionStorage.getItem(`alphy-session-${this.roomId}`));
+        return session && session.participantId && session.resumeToken ? session : null;
+      } catch {
+        return null;
+      }
+    }
+
+    readClientId() {
+      try {
+        const stored = localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+        if (stored) return stored;
+      } catch {
+        // Private mode — a new one for this page
+      }
+      const bytes = new Uint8Array(16);
+      crypto.getRandomValues(bytes);
+      const clientId = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+      try {
+        localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+      } catch {
+        // Keep it in memory only
+      }
+      return clientId;
+    }
+
+    storeSession(session) {
+      this.session = session;
+      try {
+        const key = `alphy-session-${this.roomId}`;
+        if (session) sessionStorage.setItem(key, JSON.stringify(session));
+        else sessionStorage.removeItem(key);
+      } catch {
+        // Private mode — keep it in memory only
+      }
+    }
+
+    // --- Names & Roster ---
+
+    readStoredName() {
+      try {
+        return localStorage.getItem(NAME_STORAGE_KEY) || '';
+      } catch {
+        return '';
+      }
+    }
+
+    setDisplayName(name) {
+      this.displayName = name.replace(/\s+/g, ' ').trim().slice(0, NAME_MAX_LENGTH);
+      try {
+        if (this.displayName) localStorage.setItem(NAME_STORAGE_KEY, this.displayName);
+        else localStorage.removeItem(NAME_STORAGE_KEY);
+      } catch {
+        // Private mode — keep it for this call only
+      }
+      // Not joined yet: it goes out with the next join-room instead
+      if (this.connectionState === 'joined') {
+        this.socket.emit('set-name', { name: this.displayName });
+      }
+      this.renderNames();
+    }
+
+    applyRoster(participants, host) {
+      const previousHost = this.hostId;
+      this.roster = participants;
+      this.hostId = host;
+      for (const { participantId, name } of participants) {
+        this.names.set(participantId, name);
+      }
+      if (previousHost && previousHost !== host && this.isHost()) {
+        this.showNotice("You're now the host.");
+      }
+      this.renderNames();
+      this.renderChat();
+    }
+
+    isHost() {
+      return Boolean(this.session && this.hostId === this.session.participantId);
+    }
+
+    // 'You' for ourselves, for chat and transfers
+    participantLabel(participantId) {
+      if (this.session && participantId === this.session.participantId) return 'You';
+      return this.names.get(participantId) || 'Guest';
+    }
+
+    renderNames() {
+      this.localName.textContent = this.displayName || 'You';
+      for (const [peerId, peer] of this.peers) {
+        const label = this.participantLabel(peerId);
+        peer.videoEl.parentNode.querySelector('.name-label').textContent = label;
+        if (peer.screenEl) {
+          peer.screenEl.parentNode.querySelector('.name-label').textContent = `${label} (screen)`;
+        }
+      }
+      this.renderRoster();
+    }
+
+    renderRoster() {
+      const ownId = this.session && this.session.participantId;
+      const items = [];
+      const isHost = this.isHost();
+      const self = document.createElement('li');
+      self.className = 'roster-item own';
+      self.textContent = `${this.displayName || 'Guest'} (you${isHost ? ', host' : ''})`;
+      items.push(self);
+      for (const { participantId } of this.roster) {
+        if (participantId === ownId) continue;
+        const label = this.participantLabel(participantId);
+        const item = document.createElement('li');
+        item.className = 'roster-item';
+        const name = document.createElement('span');
+        name.textContent = participantId === this.hostId ? `${label} (host)` : label;
+        item.appendChild(name);
+
+        if (isHost) {
+          const target = participantId;
+          const actions = document.createElement('div');
+          actions.className = 'roster-actions';
+          actions.append(
+            this.rosterButton('Ask to mute', () => this.socket.emit('request-mute', { target })),
+            this.rosterButton('Make host', () => this.socket.emit('transfer-host', { target })),
+            this.rosterButton('Remove', () => {
+              if (window.confirm(`Remove ${label} from the call?`)) {
+                this.socket.emit('remove-participant', { target });
+              }
+            }, 'danger'),
+          );
+          item.appendChild(actions);
+        }
+        items.push(item);
+      }
+      this.endCallBtn.hidden = !isHost;
+      this.lobbyToggleRow.hidden = !isHost;
+      this.lobbyToggle.checked = this.lobbyEnabled;
+      this.rosterList.replaceChildren(...items);
+    }
+
+    // --- Lobby ---
+
+    showWaitingScreen(text, { done = false } = {}) {
+      this.hideStatus();
+      this.waitingText.textContent = text;
+      this.waitingSpinner.hidden = done;
+      this.waitingScreen.hidden = false;
+    }
+
+    // "<name> wants to join" for each knock, with Admit / Deny
+    renderKnocks() {
+      this.knockList.replaceChildren(...this.waiting.map(({ requestId, name }) => {
+        const item = document.createElement('div');
+        item.className = 'knock';
+        const text = document.createElement('span');
+        text.textContent = `${name || 'Someone'} wants to join`;
+        const admit = this.rosterButton('Admit', () => this.answerKnock(requestId, true), 'primary');
+        const deny = this.rosterButton('Deny', () => this.answerKnock(requestId, false));
+        item.append(text, admit, deny);
+        return item;
+      }));
+    }
+
+    answerKnock(requestId, admit) {
+      this.socket.emit('answer-knock', { requestId, admit });
+      // Answered: drop it now rather than waiting for the next roster
+      this.waiting = this.waiting.filter((knock) => knock.requestId !== requestId);
+      this.renderKnocks();
+    }
+
+    rosterButton(label, onClick, variant = '') {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `roster-action ${variant}`.trim();
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    }
+
+    endCallForAll() {
+      if (!this.isHost() || !window.confirm('End the call for everyone?')) return;
+      this.socket.emit('end-room');
+    }
+
+    // A message from the host (or about host status), with an optional action
+    showNotice(text, action = null) {
+      this.hostNoticeText.textContent = text;
+      this.noticeAction = action && action.run;
+      this.hostNoticeAction.hidden = !action;
+      if (action) this.hostNoticeAction.textContent = action.label;
+      this.hostNotice.hidden = false;
+      clearTimeout(this.noticeTimer);
+      this.noticeTimer = setTimeout(() => this.hideNotice(), 10000);
+    }
+
+    hideNotice() {
+      clearTimeout(this.noticeTimer);
+      this.hostNotice.hidden = true;
+      this.noticeAction = null;
+    }
+
+    toggleRoster(open = this.rosterPanel.hidden) {
+      this.rosterPanel.hidden = !open;
+      if (open) {
+        this.toggleSettings(false);
+        this.renderRoster();
+        this.nameInput.value = this.displayName;
+      }
+    }
+
+    // --- Passcode & Lock ---
+
+    readStoredPasscode() {
+      try {
+        return sessionStorage.getItem(`alphy-passcode-${this.roomId}`);
+      } catch {
+        return null;
+      }
+    }
+
+    readStoredHostKey() {
+      try {
+        return sessionStorage.getItem(`alphy-host-${this.roomId}`);
+      } catch {
+        return null;
+      }
+    }
 
-      this.socket.on('ice-candidate', async ({ sender, candidate }) => {
-        const peer = this.peers.get(sender);
-        if (!peer) return;
-        try {
-          await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
-        } catch (err) {
-          console.error('Error adding ICE candidate from', sender, err);
-        }
-      });
+    storeHostKey(hostKey) {
+      this.hostKey = hostKey;
+      try {
+        const key = `alphy-host-${this.roomId}`;
+        if (hostKey) sessionStorage.setItem(key, hostKey);
+        else sessionStorage.removeItem(key);
+      } catch {
+        // Private mode — keep it in memory only
+      }
+    }
 
-      this.socket.on('participant-left', ({ socketId }) => {
-        this.removePeer(socketId);
-        this.updateParticipantCount();
-        this.adjustQuality();
-      });
+    storePasscode(passcode) {
+      this.passcode = passcode;
+      try {
+        const key = `alphy-passcode-${this.roomId}`;
+        if (passcode) sessionStorage.setItem(key, passcode);
+        else sessionStorage.removeItem(key);
+      } catch {
+        // Private mode — keep it in memory only
+      }
+    }
 
-      this.socket.on('room-full', () => {
-        this.statusText.textContent = 'Room is full (max 4 people).';
-        this.statusOverlay.classList.add('error');
-        setTimeout(() => {
-          window.location.href = '/';
-        }, 3000);
-      });
+    showPasscodePrompt(msg) {
+      this.showStatus(msg);
+      this.statusOverlay.classList.add('prompt');
+      this.passcodeForm.hidden = false;
+      this.passcodeInput.value = '';
+      this.passcodeInput.focus();
+    }
 
-      this.socket.on('reconnect', () => {
-        this.socket.emit('join-room', { roomId: this.roomId });
-      });
+    submitPasscode() {
+      const passcode = this.passcodeInput.value;
+      if (!passcode) return;
+      this.storePasscode(passcode);
+      this.passcodeForm.hidden = true;
+      this.showStatus('Joining...');
+      this.joinRoom();
+    }
 
-      this.socket.on('disconnect', () => {
-        this.showStatus('Connection lost. Reconnecting...');
-      });
+    toggleLock() {
+      this.socket.emit('set-room-lock', { locked: !this.isLocked });
     }
 
-    // --- WebRTC ---
+    updateLockButton(locked) {
+      this.isLocked = Boolean(locked);
+      this.lockBtn.classList.toggle('active', this.isLocked);
+      this.lockBtn.title = this.isLocked ? 'Unlock room' : 'Lock room';
+      this.lockBtn.querySelector('.icon-unlocked').style.display = this.isLocked ? 'none' : '';
+      this.lockBtn.querySelector('.icon-locked').style.display = this.isLocked ? '' : 'none';
+    }
 
-    createPeerConnection(peerId, isInitiator) {
+    // --- WebRTC ---
+    //
+    // Perfect negotiation: either side may offer whenever its connection needs
+    // (re)negotiating — joining, ICE restarts, tracks added or removed. When
+    // two offers cross, the polite side rolls its own back and answers; the
+    // impolite side ignores the incoming one. Politeness is decided by
+    // comparing participant IDs, so both sides agree without talking about it.
+
+    createPeerConnection(peerId) {
       const pc = new RTCPeerConnection({ iceServers: this.iceServers });
+      const polite = this.session.participantId < peerId;
 
+      let cameraSender = null;
+      let micSender = null;
       for (const track of this.localStream.getTracks()) {
-        pc.addTrack(track, this.localStream);
+        const sender = pc.addTrack(track, this.localStream);
+        if (track.kind === 'video') cameraSender = sender;
+        else micSender = sender;
       }
 
       const remoteStream = new MediaStream();
       pc.ontrack = (event) => {
-        remoteStream.addTrack(event.track);
         const peer = this.peers.get(peerId);
+        const [stream] = event.streams;
+        if (peer && peer.remoteScreen && stream && stream.id === peer.remoteScreen.streamId) {
+          this.showRemoteScreen(peerId, stream);
+          return;
+        }
+
+        remoteStream.addTrack(event.track);
 
         // Only set srcObject once — subsequent tracks are added to the same
         // stream automatically. Re-setting srcObject + play() causes AbortError.
@@ -353,114 +1757,240 @@
         }
       };
 
-      // Only initiator restarts ICE — prevents both sides looping offers
-      pc.oniceconnectionstatechange = () => {
-        if (pc.iceConnectionState === 'failed' && isInitiator) {
-          this.restartIce(pc, peerId);
+      // Chat. Negotiated with a fixed id, so both sides open the same channel
+      // without waiting for the other to announce it.
+      const chatChannel = pc.createDataChannel('chat', { negotiated: true, id: 0 });
+      chatChannel.onmessage = (event) => {
+        let payload;
+        try {
+          payload = JSON.parse(event.data);
+        } catch {
+          return;
         }
-        if (pc.iceConnectionState === 'disconnected' && isInitiator) {
-          setTimeout(() => {
-            if (pc.iceConnectionState === 'disconnected') {
-              this.restartIce(pc, peerId);
-            }
-          }, 5000);
+        this.receiveChat(peerId, payload);
+      };
+      this.fileTransfers.attachPeer(peerId, pc.createDataChannel('files', { negotiated: true, id: 1 }));
+
+      pc.onnegotiationneeded = async () => {
+        const peer = this.peers.get(peerId);
+        if (!peer || peer.pc !== pc) return;
+        try {
+          peer.makingOffer = true;
+          await pc.setLocalDescription();
+          this.socket.emit('offer', { target: peerId, sdp: pc.localDescription });
+        } catch (err) {
+          console.error('Error creating offer for', peerId, err);
+          this.diagnostics.log('negotiation-error', { peer: peerId, sdp: 'offer', message: err.message });
+        } finally {
+          peer.makingOffer = false;
         }
       };
 
+      pc.oniceconnectionstatechange = () => this.onIceStateChange(peerId, pc);
+
       const videoEl = this.createRemoteVideo(peerId);
 
       this.peers.set(peerId, {
         pc,
+        polite,
+        makingOffer: false,
+        ignoreOffer: false,
+        settingRemoteAnswer: false,
+        pendingCandidates: [], // arrived before the remote description
+        chatChannel,
+        cameraSender,
+        micSender,
+        screenSender: null,
+        remoteScreen: null, // { streamId } while they share on a separate stream
+        screenEl: null,
+        state: 'connecting',
+        restartAttempts: 0,
+        restartTimer: null,
+        needsRestart: false,
         stream: remoteStream,
         videoEl,
-        lastStatBytes: null,
-        lastStatTime: null,
-        isRelay: false,
-        relayInterval: null,
+        tierIndex: 0, // start at highest; see adaptPeerQuality
+        degradeCount: 0,
+        improveCount: 0,
+        lastStats: null, // previous getStats() report, for rates
+        stats: null, // summarizeStats() of the latest one
+        statsReadings: 0,
+        audioLevel: 0, // latest while speaking
+        speakingUntil: 0,
       });
 
       pc.onconnectionstatechange = () => {
+        const peer = this.peers.get(peerId);
+        if (!peer || peer.pc !== pc) return;
+        this.diagnostics.log('connection-state', { peer: peerId, state: pc.connectionState });
         if (pc.connectionState === 'connected') {
-          this.applyBitrateCap(pc);
-          this.startRelayCheck(peerId);
+          this.applyPeerQuality(peer);
         }
       };
 
-      if (isInitiator) {
-        pc.createOffer()
-          .then((offer) => pc.setLocalDescription(offer))
-          .then(() => {
-            this.socket.emit('offer', {
-              target: peerId,
-              sdp: pc.localDescription,
-            });
-          })
-          .catch((err) => console.error('Error creating offer:', err));
-      }
+      if (this.screenStream) this.shareScreenWith(peerId);
 
       this.updateLayout();
       return pc;
     }
 
-    restartIce(pc, peerId) {
-      pc.createOffer({ iceRestart: true })
-        .then((offer) => pc.setLocalDescription(offer))
-        .then(() => {
-          this.socket.emit('offer', {
-            target: peerId,
-            sdp: pc.localDescription,
-          });
-        })
-        .catch((err) => console.error('ICE restart failed:', err));
+    async handleDescription(peerId, description) {
+      const peer = this.peers.get(peerId);
+      if (!peer) return;
+      const { pc } = peer;
+
+      try {
+        // An offer collides with ours unless we're idle, or about to be
+        // (our answer from them is being applied)
+        const readyForOffer = !peer.makingOffer &&
+          (pc.signalingState === 'stable' || peer.settingRemoteAnswer);
+        const offerCollision = description.type === 'offer' && !readyForOffer;
+        peer.ignoreOffer = !peer.polite && offerCollision;
+        if (peer.ignoreOffer) return;
+
+        // The polite side's pending offer is rolled back implicitly here
+        peer.settingRemoteAnswer = description.type === 'answer';
+        await pc.setRemoteDescription(description);
+        peer.settingRemoteAnswer = false;
+
+        for (const candidate of peer.pendingCandidates.splice(0)) {
+          await this.addCandidate(peer, candidate);
+        }
+
+        if (description.type === 'offer') {
+          await pc.setLocalDescription();
+          this.socket.emit('answer', { target: peerId, sdp: pc.localDescription });
+        }
+      } catch (err) {
+        peer.settingRemoteAnswer = false;
+        console.error(`Error handling ${description.type} from`, peerId, err);
+        this.diagnostics.log('negotiation-error', { peer: peerId, sdp: description.type, message: err.message });
+      }
+    }
+
+    async handleCandidate(peerId, candidate) {
+      const peer = this.peers.get(peerId);
+      if (!peer) return;
+      if (!peer.pc.remoteDescription) {
+        peer.pendingCandidates.push(candidate);
+        return;
+      }
+      await this.addCandidate(peer, candidate);
+    }
+
+    async addCandidate(peer, candidate) {
+      try {
+        await peer.pc.addIceCandidate(candidate);
+      } catch (err) {
+        // Candidates for an offer we ignored are expected to fail
+        if (!peer.ignoreOffer) console.error('Error adding ICE candidate:', err);
+      }
+    }
+
+    // Either side may restart; negotiationneeded sends the restart offer
+    async restartIce(pc) {
+      // A restart gathers fresh relay candidates, so it needs live credentials
+      if (this.iceServersStale()) await this.fetchIceServers();
+      if (pc.signalingState === 'closed') return;
+      pc.restartIce();
+    }
+
+    // After a signaling gap, re-send whatever the other side may have missed
+    // and restart ICE where it broke meanwhile
+    recoverPeer(peerId) {
+      const peer = this.peers.get(peerId);
+      if (!peer) return;
+      const { pc } = peer;
+      if (pc.signalingState === 'have-local-offer') {
+        this.socket.emit('offer', { target: peerId, sdp: pc.localDescription });
+      } else if (peer.needsRestart || pc.iceConnectionState === 'failed' || pc.iceConnectionState === 'disconnected') {
+        this.triggerIceRestart(peerId);
+        this.scheduleIceRestart(peerId);
+      }
     }
 
     removePeer(peerId) {
       const peer = this.peers.get(peerId);
       if (!peer) return;
 
-      if (peer.relayInterval) clearInterval(peer.relayInterval);
+      clearTimeout(peer.restartTimer);
+      this.fileTransfers.detachPeer(peerId);
       peer.pc.close();
       if (peer.videoEl && peer.videoEl.parentNode) {
         peer.videoEl.parentNode.remove();
       }
+      if (peer.screenEl) peer.screenEl.parentNode.remove();
       this.peers.delete(peerId);
       this.updateLayout();
-      this.updateRelayBadge();
+      this.renderConnectionStatus();
     }
 
-    async applyBitrateCap(pc) {
-      const tier = QUALITY_TIERS[this.currentTierIndex];
-
-      for (const sender of pc.getSenders()) {
-        if (sender.track?.kind !== 'video') continue;
+    // --- Adaptive Quality ---
+    //
+    // Every peer gets its own tier: we encode separately for each connection,
+    // so a weak link only costs that peer resolution and bitrate. The camera
+    // is captured at the best tier any peer is on, and each sender scales down
+    // from there.
+
+    // Bitrate, frame rate and scale for each video sender to this peer
+    async applyPeerQuality(peer) {
+      const tier = QUALITY_TIERS[peer.tierIndex];
+      const screenTrack = this.screenStream && this.screenStream.getVideoTracks()[0];
+
+      for (const sender of peer.pc.getSenders()) {
+        const track = sender.track;
+        if (track?.kind !== 'video') continue;
         const params = sender.getParameters();
         if (!params.encodings || params.encodings.length === 0) {
           params.encodings = [{}];
         }
-        params.encodings[0].maxBitrate = tier.maxBitrate;
+        const encoding = params.encodings[0];
+        encoding.maxBitrate = tier.maxBitrate;
+        if (screenTrack && track === screenTrack) {
+          // A shared screen keeps its resolution and only loses frame rate
+          encoding.maxFramerate = SCREEN_FRAME_RATES[peer.tierIndex];
+          encoding.scaleResolutionDownBy = 1;
+        } else {
+          const { height } = track.getSettings();
+          encoding.maxFramerate = tier.frameRate;
+          encoding.scaleResolutionDownBy = height > tier.height ? height / tier.height : 1;
+        }
         params.degradationPreference = 'maintain-resolution';
         try {
           await sender.setParameters(params);
         } catch (err) {
-          console.warn('Could not set bitrate:', err);
+          console.warn('Could not set encoding parameters:', err);
         }
       }
     }
 
-    // --- Adaptive Quality ---
-
+    // Participants or tracks changed: recheck capture and every sender
     adjustQuality() {
-      // Reset counters when participant count changes
-      this.degradeCount = 0;
-      this.improveCount = 0;
-      // Apply current tier constraints
-      this.applyCurrentTier();
+      for (const [, peer] of this.peers) {
+        peer.degradeCount = 0;
+        peer.improveCount = 0;
+      }
+      this.applyCaptureTier(true);
     }
 
-    async applyCurrentTier() {
-      const tier = QUALITY_TIERS[this.currentTierIndex];
+    // Capture at the best tier any peer is on — only lowered when every peer
+    // has stepped down, or when the CPU can't keep up. Senders scale relative
+    // to the capture size, so they are reapplied along with it. `force`
+    // reapplies everything even if the tier is unchanged (new tracks, new peers).
+    async applyCaptureTier(force = false) {
+      let best = QUALITY_TIERS.length - 1;
+      for (const [, peer] of this.peers) best = Math.min(best, peer.tierIndex);
+      if (this.peers.size === 0) best = 0;
+      best = Math.max(best, this.cpuTierIndex);
+      if (best === this.captureTierIndex && !force) return;
+
+      if (best !== this.captureTierIndex) {
+        console.log('Capture quality set to', QUALITY_TIERS[best].label);
+        this.diagnostics.log('capture-tier', { tier: QUALITY_TIERS[best].label });
+      }
+      this.captureTierIndex = best;
+      const tier = QUALITY_TIERS[best];
 
-      // Adjust local video track constraints
       const videoTrack = this.localStream.getVideoTracks()[0];
       if (videoTrack) {
         try {
@@ -474,48 +2004,99 @@
         }
       }
 
-      // Apply bitrate cap on all peers
+      const screenTrack = this.screenStream && this.screenStream.getVideoTracks()[0];
+      if (screenTrack) {
+        try {
+          await screenTrack.applyConstraints({ frameRate: { max: SCREEN_FRAME_RATES[best] } });
+        } catch {
+          // Capture does its best
+        }
+      }
+
       for (const [, peer] of this.peers) {
-        this.applyBitrateCap(peer.pc);
+        this.applyPeerQuality(peer);
       }
     }
 
-    adaptQuality(actualFps) {
-      if (this.peers.size === 0) return;
-
-      const tier = QUALITY_TIERS[this.currentTierIndex];
-      const targetFps = tier.frameRate;
-
-      // FPS significantly below target → degrade
-      if (actualFps > 0 && actualFps < targetFps * 0.6) {
-        this.degradeCount++;
-        this.improveCount = 0;
-      } else if (actualFps >= targetFps * 0.85) {
-        this.improveCount++;
-        this.degradeCount = 0;
+    // One stats reading for one peer: { loss, rtt, availableBitrate }, any of
+    // them null if the browser doesn't report it
+    adaptPeerQuality(peerId, peer, { loss, rtt, availableBitrate }) {
+      const tier = QUALITY_TIERS[peer.tierIndex];
+      const upper = QUALITY_TIERS[peer.tierIndex - 1];
+
+      const struggling =
+        (loss !== null && loss > LOSS_DEGRADE) ||
+        (rtt !== null && rtt > RTT_DEGRADE_S) ||
+        (availableBitrate !== null && availableBitrate < tier.maxBitrate * BITRATE_HEADROOM);
+      const comfortable =
+        (loss === null || loss < LOSS_IMPROVE) &&
+        (rtt === null || rtt < RTT_IMPROVE_S) &&
+        (availableBitrate === null || !upper || availableBitrate >= upper.maxBitrate * BITRATE_HEADROOM);
+
+      if (struggling) {
+        peer.degradeCount++;
+        peer.improveCount = 0;
+      } else if (comfortable) {
+        peer.improveCount++;
+        peer.degradeCount = 0;
       } else {
         // In between — reset both
-        this.degradeCount = 0;
-        this.improveCount = 0;
+        peer.degradeCount = 0;
+        peer.improveCount = 0;
       }
 
+      let step = 0;
       // Step down after 3 consecutive bad readings (~6 seconds)
-      if (this.degradeCount >= 3 && this.currentTierIndex < QUALITY_TIERS.length - 1) {
-        this.currentTierIndex++;
-        this.applyCurrentTier();
-        this.degradeCount = 0;
-        this.improveCount = 0;
-        console.log('Quality stepped DOWN to', QUALITY_TIERS[this.currentTierIndex].label);
+      if (peer.degradeCount >= 3 && peer.tierIndex < QUALITY_TIERS.length - 1) step = 1;
+      // Step up after 8 consecutive good readings (~16 seconds of stable quality)
+      if (peer.improveCount >= 8 && peer.tierIndex > 0) step = -1;
+      if (step === 0) return;
+
+      peer.tierIndex += step;
+      peer.degradeCount = 0;
+      peer.improveCount = 0;
+      console.log(
+        `Quality for ${peerId} stepped ${step > 0 ? 'DOWN' : 'UP'} to`,
+        QUALITY_TIERS[peer.tierIndex].label
+      );
+      this.diagnostics.log('tier', {
+        peer: peerId,
+        tier: QUALITY_TIERS[peer.tierIndex].label,
+        loss,
+        rtt,
+        availableBitrate,
+      });
+      this.applyPeerQuality(peer);
+      this.applyCaptureTier();
+    }
+
+    // One round of stats from every peer: was any of our encoders held back
+    // by the CPU? Lowers the capture tier, which takes resolution and frame
+    // rate down for every peer at once.
+    adaptCpuQuality(cpuLimited) {
+      if (cpuLimited) {
+        this.cpuDegradeCount++;
+        this.cpuRecoverCount = 0;
+      } else {
+        this.cpuRecoverCount++;
+        this.cpuDegradeCount = 0;
       }
 
-      // Step up after 8 consecutive good readings (~16 seconds of stable quality)
-      if (this.improveCount >= 8 && this.currentTierIndex > 0) {
-        this.currentTierIndex--;
-        this.applyCurrentTier();
-        this.degradeCount = 0;
-        this.improveCount = 0;
-        console.log('Quality stepped UP to', QUALITY_TIERS[this.currentTierIndex].label);
+      let step = 0;
+      if (this.cpuDegradeCount >= CPU_DEGRADE_READINGS && this.cpuTierIndex < QUALITY_TIERS.length - 1) {
+        // From where we capture now: a lower peer tier may already be in force
+        this.cpuTierIndex = Math.max(this.cpuTierIndex, this.captureTierIndex);
+        step = 1;
       }
+      if (this.cpuRecoverCount >= CPU_RECOVER_READINGS && this.cpuTierIndex > 0) step = -1;
+      if (step === 0) return;
+
+      this.cpuTierIndex += step;
+      this.cpuDegradeCount = 0;
+      this.cpuRecoverCount = 0;
+      console.log(`CPU limit stepped ${step > 0 ? 'DOWN' : 'UP'} to`, QUALITY_TIERS[this.cpuTierIndex].label);
+      this.diagnostics.log('cpu-tier', { tier: QUALITY_TIERS[this.cpuTierIndex].label });
+      this.applyCaptureTier();
     }
 
     // --- Stats Monitoring ---
@@ -525,117 +2106,406 @@
     }
 
     async collectStats() {
-      if (this.peers.size === 0) {
-        this.statsDisplay.textContent = '';
-        return;
+      const screenTrack = this.screenStream && this.screenStream.getVideoTracks()[0];
+      let sendingVideo = false;
+      let cpuLimited = false;
+
+      for (const [peerId, peer] of this.peers) {
+        let stats;
+        try {
+          stats = await peer.pc.getStats();
+        } catch {
+          // Stats not available yet
+          continue;
+        }
+        if (this.peers.get(peerId) !== peer) continue;
+
+        const remoteScreen = peer.screenEl && peer.screenEl.srcObject;
+        const remoteScreenTrack = remoteScreen && remoteScreen.getVideoTracks()[0];
+        const summary = summarizeStats(stats, peer.lastStats, {
+          screenTrackId: screenTrack ? screenTrack.id : null,
+          remoteScreenTrackId: remoteScreenTrack ? remoteScreenTrack.id : null,
+        });
+        const previousRoute = peer.stats && peer.stats.route;
+        peer.lastStats = stats;
+        peer.stats = summary;
+
+        if (summary.route && JSON.stringify(summary.route) !== JSON.stringify(previousRoute)) {
+          this.diagnostics.log('candidate-pair', { peer: peerId, ...summary.route });
+        }
+        if (peer.statsReadings++ % DIAGNOSTICS_STATS_EVERY === 0) {
+          this.diagnostics.log('stats', { peer: peerId, ...summary });
+        }
+
+        if (summary.sendingVideo) {
+          sendingVideo = true;
+          this.adaptPeerQuality(peerId, peer, {
+            loss: summary.outboundLoss,
+            rtt: summary.rtt,
+            availableBitrate: summary.availableBitrate,
+          });
+          if (summary.cpuLimited) cpuLimited = true;
+        }
+        this.renderPeerStats(peer);
       }
+      if (sendingVideo) this.adaptCpuQuality(cpuLimited);
+    }
 
-      let displayFps = 0;
-      let displayRes = '';
-      let displayBitrate = 0;
-      let minFps = Infinity;
+    // --- Active Speaker ---
 
-      for (const [, peer] of this.peers) {
-        try {
-          const stats = await peer.pc.getStats();
-          for (const report of stats.values()) {
-            if (report.type === 'outbound-rtp' && report.kind === 'video') {
-              const fps = report.framesPerSecond || 0;
+    startSpeakerDetection() {
+      this.speakerInterval = setInterval(() => this.pollSpeakers(), SPEAKER_POLL_MS);
+    }
 
-              if (report.frameWidth && report.frameHeight) {
-                displayRes = `${report.frameHeight}p`;
-              }
-              displayFps = fps;
-              if (fps > 0) minFps = Math.min(minFps, fps);
-
-              // Calculate bitrate from bytes delta
-              if (peer.lastStatBytes != null && peer.lastStatTime != null) {
-                const dt = (report.timestamp - peer.lastStatTime) / 1000;
-                if (dt > 0) {
-                  const br = ((report.bytesSent - peer.lastStatBytes) * 8) / dt;
-                  displayBitrate = Math.max(displayBitrate, br);
-                }
-              }
-              peer.lastStatBytes = report.bytesSent;
-              peer.lastStatTime = report.timestamp;
-            }
+    // Audio level from one sender's or receiver's own stats, which are far
+    // smaller than the whole connection's: inbound-rtp for what a peer sends
+    // us, media-source for our microphone. null when not reported.
+    async readAudioLevel(senderOrReceiver, type) {
+      const stats = await senderOrReceiver.getStats();
+      for (const report of stats.values()) {
+        if (report.type === type && report.kind === 'audio' && typeof report.audioLevel === 'number') {
+          return report.audioLevel;
+        }
+      }
+      return null;
+    }
+
+    // Lights up the tiles of whoever is talking (our self view included) and
+    // feeds the speaking peers' levels to updateActiveSpeaker
+    async pollSpeakers() {
+      if (this.pollingSpeakers) return;
+      this.pollingSpeakers = true;
+      try {
+        const now = Date.now();
+        const speaking = new Map(); // peerId -> level
+        for (const [peerId, peer] of this.peers) {
+          const track = peer.stream.getAudioTracks()[0];
+          const receiver = track && peer.pc.getReceivers().find((r) => r.track === track);
+          const level = receiver ? await this.readAudioLevel(receiver, 'inbound-rtp').catch(() => null) : null;
+          if (this.peers.get(peerId) !== peer) continue;
+
+          if (level !== null && level >= SPEAKING_LEVEL) {
+            peer.speakingUntil = now + SPEAKING_HOLD_MS;
+            peer.audioLevel = level;
           }
-        } catch {
-          // Stats not available yet
+          if (now < peer.speakingUntil) speaking.set(peerId, peer.audioLevel);
+          peer.videoEl.parentNode.classList.toggle('speaking', now < peer.speakingUntil);
         }
+
+        // Any peer's sender reads our microphone; with nobody here, no one sees us
+        const peer = [...this.peers.values()].find((p) => p.micSender);
+        const level = peer && !this.isMuted
+          ? await this.readAudioLevel(peer.micSender, 'media-source').catch(() => null)
+          : null;
+        if (level !== null && level >= SPEAKING_LEVEL) this.localSpeakingUntil = now + SPEAKING_HOLD_MS;
+        // Our video is in the self view, or in the grid while a peer is swapped in
+        this.localVideo.parentNode.classList.toggle('speaking', !this.isMuted && now < this.localSpeakingUntil);
+
+        this.updateActiveSpeaker(speaking, now);
+      } finally {
+        this.pollingSpeakers = false;
+      }
+    }
+
+    // The loudest of the speaking peers takes over once they have stayed the
+    // loudest for SPEAKER_SWITCH_MS (at once if there's no active speaker).
+    // Silence keeps the last one.
+    updateActiveSpeaker(speaking, now) {
+      let loudest = null;
+      for (const [peerId, level] of speaking) {
+        if (loudest === null || level > speaking.get(loudest)) loudest = peerId;
       }
+      if (loudest === null || loudest === this.activeSpeakerId) {
+        this.speakerCandidate = null;
+        return;
+      }
+      if (!this.speakerCandidate || this.speakerCandidate.peerId !== loudest) {
+        this.speakerCandidate = { peerId: loudest, since: now };
+      }
+      if (this.peers.has(this.activeSpeakerId) && now - this.speakerCandidate.since < SPEAKER_SWITCH_MS) return;
+
+      this.activeSpeakerId = loudest;
+      this.speakerCandidate = null;
+      this.diagnostics.log('active-speaker', { peer: loudest });
+      this.updateLayout();
+    }
 
-      const fps = Math.round(displayFps);
-      if (fps > 0) {
-        const bitrateStr =
-          displayBitrate >= 1000000
-            ? (displayBitrate / 1000000).toFixed(1) + 'Mbps'
-            : Math.round(displayBitrate / 1000) + 'kbps';
-        this.statsDisplay.textContent = `${displayRes} ${fps}fps ${bitrateStr}`;
+    toggleSpeakerView() {
+      this.speakerView = !this.speakerView;
+      try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, this.speakerView ? 'speaker' : 'grid');
+      } catch {
+        // Storage unavailable (private mode); the choice lasts this call
       }
+      this.updateLayout();
+    }
 
-      // Feed into adaptive quality
-      if (minFps < Infinity) {
-        this.adaptQuality(minFps);
+    readStoredLayout() {
+      try {
+        return localStorage.getItem(LAYOUT_STORAGE_KEY);
+      } catch {
+        return null;
       }
     }
 
-    // --- TURN Detection ---
+    // Signal bars on the peer's tile, and the details overlay if it's open
+    renderPeerStats(peer) {
+      const wrapper = peer.videoEl.parentNode;
+      const level = qualityLevel(peer.stats);
+      const indicator = wrapper.querySelector('.quality-indicator');
+      indicator.dataset.level = level;
+      indicator.title = `Connection: ${QUALITY_LABELS[level]}`;
+
+      const overlay = wrapper.querySelector('.stats-overlay');
+      if (overlay.hidden) return;
+
+      const summary = peer.stats || {};
+      const ms = (seconds) => (typeof seconds === 'number' ? `${Math.round(seconds * 1000)} ms` : '—');
+      const percent = (fraction) => (typeof fraction === 'number' ? `${(fraction * 100).toFixed(1)}%` : '—');
+      const stream = (rtp) => {
+        if (!rtp) return '—';
+        return [
+          rtp.codec,
+          rtp.width && rtp.height ? `${rtp.width}×${rtp.height}` : null,
+          rtp.fps ? `${Math.round(rtp.fps)} fps` : null,
+          rtp.bitrate !== null ? formatBitrate(rtp.bitrate) : null,
+        ].filter(Boolean).join(' · ') || '—';
+      };
+      let route = '—';
+      if (summary.route) {
+        const { local, remote } = summary.route;
+        const relayed = local === 'relay' || remote === 'relay';
+        route = `${relayed ? 'Relay (TURN)' : 'Direct'} · ${local || '?'} ↔ ${remote || '?'}`;
+      }
+
+      const rows = [
+        ['Quality', QUALITY_LABELS[level]],
+        ['Route', route],
+        ['Round trip', ms(summary.rtt)],
+        ['Sending', stream(summary.sent)],
+        ['Receiving', stream(summary.received)],
+        ['Loss in / out', `${percent(summary.inboundLoss)} / ${percent(summary.outboundLoss)}`],
+        ['Jitter', ms(summary.jitter)],
+        ['Freezes', String(summary.freezeCount || 0)],
+        ['Sending tier', QUALITY_TIERS[peer.tierIndex].label],
+      ];
+      const list = document.createElement('dl');
+      for (const [term, value] of rows) {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        list.append(dt, dd);
+      }
+      overlay.replaceChildren(list);
+    }
 
-    startRelayCheck(peerId) {
+    toggleStatsOverlay(peerId) {
       const peer = this.peers.get(peerId);
       if (!peer) return;
+      const overlay = peer.videoEl.parentNode.querySelector('.stats-overlay');
+      overlay.hidden = !overlay.hidden;
+      this.renderPeerStats(peer);
+    }
+
+    // --- Diagnostics ---
+
+    diagnosticsReport() {
+      return this.diagnostics.report({
+        roomId: this.roomId,
+        participantId: this.session ? this.session.participantId : null,
+        connectionState: this.connectionState,
+        online: this.isOnline,
+        captureTier: QUALITY_TIERS[this.captureTierIndex].label,
+        peers: [...this.peers].map(([peerId, peer]) => ({
+          peerId,
+          state: peer.state,
+          iceConnectionState: peer.pc.iceConnectionState,
+          connectionState: peer.pc.connectionState,
+          signalingState: peer.pc.signalingState,
+          tier: QUALITY_TIERS[peer.tierIndex].label,
+          stats: peer.stats,
+        })),
+      });
+    }
+
+    async copyDiagnostics() {
+      const json = JSON.stringify(this.diagnosticsReport(), null, 2);
+      try {
+        await navigator.clipboard.writeText(json);
+        this.showNotice('Diagnostics copied to the clipboard.');
+      } catch {
+        // No clipboard (plain http, or permission refused): save a file instead
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `alphy-diagnostics-${this.roomId}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+        this.showNotice('Diagnostics saved as a file.');
+      }
+    }
+
+    async sendDiagnostics() {
+      this.sendDiagnosticsBtn.disabled = true;
+      try {
+        const res = await fetch('/api/diagnostics', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(this.diagnosticsReport()),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        this.showNotice(`Diagnostics sent. Reference: ${data.id}`);
+      } catch (err) {
+        console.warn('Could not send diagnostics:', err);
+        this.showNotice('Could not send diagnostics. Try copying them instead.');
+      } finally {
+        this.sendDiagnosticsBtn.disabled = false;
+      }
+    }
 
-      const check = async () => {
+    // --- Chat ---
+
+    sendChatMessage() {
+      const text = this.chatInput.value.trim().slice(0, CHAT_MAX_LENGTH);
+      if (!text || !this.session) return;
+      this.chatInput.value = '';
+
+      const from = this.session.participantId;
+      const message = { id: `${from}-${Date.now().toString(36)}-${this.chatSeq++}`, from, text, sentAt: Date.now() };
+      this.addChatMessage(message);
+      for (const peerId of this.peers.keys()) {
+        this.sendChat(peerId, { type: 'message', message });
+      }
+    }
+
+    // Over the data channel when it's open, through the server otherwise
+    sendChat(peerId, payload) {
+      const peer = this.peers.get(peerId);
+      if (peer && peer.chatChannel.readyState === 'open') {
         try {
-          const stats = await peer.pc.getStats();
-          let isRelay = false;
-
-          for (const [, report] of stats) {
-            if (
-              report.type === 'candidate-pair' &&
-              report.state === 'succeeded' &&
-              report.nominated
-            ) {
-              const localCandidate = stats.get(report.localCandidateId);
-              const remoteCandidate = stats.get(report.remoteCandidateId);
-              if (
-                (localCandidate && localCandidate.candidateType === 'relay') ||
-                (remoteCandidate && remoteCandidate.candidateType === 'relay')
-              ) {
-                isRelay = true;
-              }
-            }
-          }
+          peer.chatChannel.send(JSON.stringify(payload));
+          return;
+        } catch (err) {
+          console.warn('Chat channel send failed, using the server:', err);
+        }
+      }
+      this.socket.emit('chat', { target: peerId, payload });
+    }
 
-          peer.isRelay = isRelay;
-          this.updateRelayBadge();
-        } catch {
-          // Stats not available yet
+    receiveChat(peerId, payload) {
+      if (!payload || typeof payload !== 'object') return;
+      if (payload.type === 'message') {
+        // Whoever sent it is who it's from
+        this.addChatMessage({ ...payload.message, from: peerId });
+      } else if (payload.type === 'history' && Array.isArray(payload.messages)) {
+        // History is only the peer's word for who said what: nothing in it
+        // may claim to be from us, and the rest shows who passed it on
+        const ownId = this.session && this.session.participantId;
+        for (const message of payload.messages.slice(-CHAT_HISTORY_LIMIT)) {
+          if (!message || message.from === ownId) continue;
+          this.addChatMessage({ ...message, relayedBy: peerId }, { fromHistory: true });
         }
+      }
+    }
+
+    addChatMessage(message, { fromHistory = false } = {}) {
+      if (!message || typeof message.id !== 'string' || this.chatIds.has(message.id)) return;
+      if (typeof message.text !== 'string' || !message.text || !Number.isFinite(message.sentAt)) return;
+      const clean = {
+        id: message.id,
+        from: String(message.from),
+        text: message.text.slice(0, CHAT_MAX_LENGTH),
+        sentAt: message.sentAt,
+        // Set on history from someone other than the sender
+        relayedBy: message.relayedBy && message.relayedBy !== message.from ? message.relayedBy : null,
       };
 
-      check();
-      peer.relayInterval = setInterval(check, 5000);
+      // History arrives out of order relative to what we already have
+      let index = this.chatMessages.length;
+      while (index > 0 && this.chatMessages[index - 1].sentAt > clean.sentAt) index--;
+      this.chatMessages.splice(index, 0, clean);
+      this.chatIds.add(clean.id);
+      if (this.chatMessages.length > CHAT_HISTORY_LIMIT) {
+        this.chatIds.delete(this.chatMessages.shift().id);
+      }
+      this.renderChat();
+
+      const isOwn = this.session && clean.from === this.session.participantId;
+      if (!isOwn && !fromHistory && this.chatPanel.hidden) {
+        this.unreadCount++;
+        this.updateChatBadge();
+      }
     }
 
-    updateRelayBadge() {
-      let anyRelay = false;
-      for (const [, peer] of this.peers) {
-        if (peer.isRelay) {
-          anyRelay = true;
-          break;
+    renderChat() {
+      const atBottom = this.chatList.scrollHeight - this.chatList.scrollTop - this.chatList.clientHeight < 40;
+      this.chatList.replaceChildren(...this.chatMessages.map((message) => this.renderChatMessage(message)));
+      if (atBottom) this.chatList.scrollTop = this.chatList.scrollHeight;
+    }
+
+    renderChatMessage(message) {
+      const isOwn = this.session && message.from === this.session.participantId;
+      const item = document.createElement('li');
+      item.className = `chat-message${isOwn ? ' own' : ''}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'chat-meta';
+      const time = new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      meta.textContent = `${this.participantLabel(message.from)} · ${time}`;
+      if (message.relayedBy) meta.textContent += ` · via ${this.participantLabel(message.relayedBy)}`;
+
+      const text = document.createElement('span');
+      text.className = 'chat-text';
+      // Plain text, with http(s) links made clickable
+      for (const part of message.text.split(/(https?:\/\/[^\s]+)/)) {
+        if (/^https?:\/\//.test(part)) {
+          const link = document.createElement('a');
+          link.href = part;
+          link.textContent = part;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+          text.appendChild(link);
+        } else if (part) {
+          text.appendChild(document.createTextNode(part));
         }
       }
-      this.relayBadge.hidden = !anyRelay;
+
+      item.append(meta, text);
+      return item;
+    }
+
+    // Offer files to everyone in the call; progress shows in the chat panel
+    sendFiles(files) {
+      if (files.length === 0 || this.peers.size === 0) return;
+      this.toggleChat(true);
+      this.fileTransfers.sendFiles(files, [...this.peers.keys()]);
+    }
+
+    toggleChat(open = this.chatPanel.hidden) {
+      this.chatPanel.hidden = !open;
+      if (open) {
+        this.unreadCount = 0;
+        this.updateChatBadge();
+        this.chatList.scrollTop = this.chatList.scrollHeight;
+        this.chatInput.focus();
+      }
+    }
+
+    updateChatBadge() {
+      this.chatBadge.hidden = this.unreadCount === 0;
+      this.chatBadge.textContent = this.unreadCount > 9 ? '9+' : String(this.unreadCount);
     }
 
     // --- UI ---
 
-    createRemoteVideo(peerId) {
+    createRemoteVideo(peerId, { screen = false } = {}) {
       const wrapper = document.createElement('div');
-      wrapper.className = 'video-wrapper';
+      wrapper.className = screen ? 'video-wrapper screen-share' : 'video-wrapper';
       wrapper.dataset.peerId = peerId;
+      const key = screen ? `${peerId}:screen` : peerId;
+      wrapper.dataset.tile = key;
+      if (!screen) wrapper.dataset.state = 'connecting';
 
       const video = document.createElement('video');
       video.autoplay = true;
@@ -643,15 +2513,166 @@
       video.setAttribute('playsinline', '');
       video.className = 'remote-video';
 
-      wrapper.appendChild(video);
+      const name = document.createElement('span');
+      name.className = 'name-label';
+      const label = this.participantLabel(peerId);
+      name.textContent = screen ? `${label} (screen)` : label;
+
+      wrapper.append(video, name);
+      if (!screen && this.speakerId) this.applySpeaker(video);
+
+      // Connection quality, with the details a tap away
+      if (!screen) {
+        const indicator = document.createElement('button');
+        indicator.type = 'button';
+        indicator.className = 'quality-indicator';
+        indicator.dataset.level = '0';
+        indicator.title = `Connection: ${QUALITY_LABELS[0]}`;
+        for (let i = 0; i < 3; i++) indicator.appendChild(document.createElement('span'));
+        indicator.addEventListener('click', () => this.toggleStatsOverlay(peerId));
+
+        const overlay = document.createElement('div');
+        overlay.className = 'stats-overlay';
+        overlay.hidden = true;
+        overlay.addEventListener('click', () => this.toggleStatsOverlay(peerId));
+
+        wrapper.append(indicator, overlay);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'tile-actions';
+      actions.appendChild(this.createTileAction('pin', 'Pin', () => this.togglePin(key)));
+      if (!screen) {
+        actions.appendChild(this.createTileAction('swap', 'Swap with self view', () => this.togglePipSwap(peerId)));
+      }
+      actions.appendChild(this.createTileAction('fullscreen', 'Fullscreen', () => this.toggleFullscreen(wrapper)));
+      wrapper.appendChild(actions);
+      wrapper.addEventListener('dblclick', (e) => {
+        if (!e.target.closest('button')) this.toggleFullscreen(wrapper);
+      });
+
       this.videoGrid.appendChild(wrapper);
 
       return video;
     }
 
+    createTileAction(iconName, title, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `tile-action tile-${iconName}`;
+      button.title = title;
+      button.appendChild(createIcon(iconName));
+      button.addEventListener('click', onClick);
+      return button;
+    }
+
+    // A pinned tile fills the screen on its own. The others keep playing
+    // (their audio with them), just out of sight.
+    togglePin(key) {
+      this.pinnedTile = this.pinnedTile === key ? null : key;
+      // A peer in the self view has no tile in the grid to pin
+      if (this.pinnedTile && this.pinnedTile === this.swappedId) this.swappedId = null;
+      this.updateLayout();
+    }
+
+    togglePipSwap(peerId) {
+      this.swappedId = this.swappedId === peerId ? null : peerId;
+      if (this.swappedId && this.pinnedTile === this.swappedId) this.pinnedTile = null;
+      this.updateLayout();
+    }
+
+    // Make the DOM match swappedId: the peer's tile inside #pip and our video
+    // in a grid tile where theirs was, or both back home. Runs on every layout
+    // change, so a swap undoes itself when the peer leaves and comes back
+    // with them.
+    arrangePip() {
+      const peer = this.peers.get(this.swappedId);
+      const wrapper = peer ? peer.videoEl.parentNode : null;
+      if (this.pipTile === wrapper) return;
+
+      if (this.pipTile) {
+        // Gone with removePeer, or going back to the grid
+        if (this.pipTile.isConnected) this.localTile.replaceWith(this.pipTile);
+        else this.localTile.remove();
+        this.pip.prepend(this.localVideo, this.localName);
+        this.pipTile = null;
+      }
+      if (wrapper) {
+        wrapper.replaceWith(this.localTile);
+        this.localTile.append(this.localVideo, this.localName);
+        this.pip.appendChild(wrapper);
+        this.pipTile = wrapper;
+      }
+
+      // Moving a video element pauses it
+      this.localVideo.play().catch(() => {});
+      if (peer) peer.videoEl.play().catch(() => {});
+      this.pip.classList.remove('speaking');
+      this.localTile.classList.remove('speaking');
+    }
+
+    // Tapping the self view while it shows a peer swaps them back
+    onPipTap() {
+      if (!this.pipTile) return;
+      this.swappedId = null;
+      this.updateLayout();
+    }
+
+    // The tile with its name label; iOS Safari on the iPhone can only take a
+    // video element fullscreen, in its own player
+    toggleFullscreen(wrapper) {
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+        return;
+      }
+      const video = wrapper.querySelector('video');
+      if (wrapper.requestFullscreen) {
+        wrapper.requestFullscreen().catch((err) => console.warn('Fullscreen failed:', err));
+      } else if (video.webkitEnterFullscreen) {
+        video.webkitEnterFullscreen();
+      }
+    }
+
+    // Grid of equal tiles; a pinned tile alone; or speaker view: one tile
+    // enlarged — a shared screen if there is one, else the active speaker —
+    // and the rest in a strip
     updateLayout() {
-      const total = this.peers.size + 1;
+      this.arrangePip();
+
+      let total = this.peers.size + 1;
+      let screenTile = null;
+      for (const peer of this.peers.values()) {
+        if (peer.screenEl) {
+          total++;
+          screenTile = screenTile || peer.screenEl.parentNode;
+        }
+      }
       this.videoGrid.className = `video-grid layout-${Math.min(total, 4)}`;
+      this.speakerViewBtn.classList.toggle('active', this.speakerView);
+
+      const tiles = [...this.videoGrid.children];
+      const pinned = tiles.find((tile) => tile.dataset.tile === this.pinnedTile) || null;
+      // Speaker view needs someone to enlarge and someone to put beside them
+      const speakerView = !pinned && this.speakerView && tiles.length > 1;
+      this.videoGrid.classList.toggle('pinned', pinned !== null);
+      this.videoGrid.classList.toggle('speaker-view', speakerView);
+
+      let featured = null;
+      if (speakerView) {
+        const speaker = this.peers.get(this.activeSpeakerId);
+        const speakerTile = speaker && speaker.videoEl.parentNode;
+        featured = [screenTile, speakerTile].find((tile) => tile && tiles.includes(tile))
+          || tiles.find((tile) => tile !== this.localTile);
+      }
+      for (const tile of tiles) {
+        tile.classList.toggle('featured', tile === featured);
+        tile.classList.toggle('pinned', tile === pinned);
+        const pin = tile.querySelector('.tile-pin');
+        if (pin) {
+          pin.classList.toggle('active', tile === pinned);
+          pin.title = tile === pinned ? 'Unpin' : 'Pin';
+        }
+      }
     }
 
     updateParticipantCount() {
@@ -662,7 +2683,7 @@
     showStatus(msg) {
       this.statusText.textContent = msg;
       this.statusOverlay.hidden = false;
-      this.statusOverlay.classList.remove('error');
+      this.statusOverlay.classList.remove('error', 'prompt');
     }
 
     hideStatus() {
@@ -675,23 +2696,83 @@
       this.muteBtn.addEventListener('click', () => this.toggleMute());
       this.videoBtn.addEventListener('click', () => this.toggleVideo());
       this.flipBtn.addEventListener('click', () => this.flipCamera());
+      // Not available on mobile browsers
+      this.screenBtn.hidden = !navigator.mediaDevices.getDisplayMedia;
+      this.screenBtn.addEventListener('click', () => this.toggleScreenShare());
       this.leaveBtn.addEventListener('click', () => this.leave());
       this.copyLinkBtn.addEventListener('click', () => this.copyLink());
+      this.lockBtn.addEventListener('click', () => this.toggleLock());
+      this.chatBtn.addEventListener('click', () => this.toggleChat());
+      this.chatCloseBtn.addEventListener('click', () => this.toggleChat(false));
+      this.chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.sendChatMessage();
+      });
+      this.attachBtn.addEventListener('click', () => this.fileInput.click());
+      this.fileInput.addEventListener('change', () => {
+        this.sendFiles([...this.fileInput.files]);
+        this.fileInput.value = '';
+      });
+      document.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      });
+      document.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        this.sendFiles([...e.dataTransfer.files]);
+      });
+      this.passcodeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitPasscode();
+      });
+      this.participantCount.addEventListener('click', () => this.toggleRoster());
+      this.settingsBtn.addEventListener('click', () => this.toggleSettings());
+      this.speakerViewBtn.addEventListener('click', () => this.toggleSpeakerView());
+      this.speakerViewBtn.classList.toggle('active', this.speakerView);
+      this.prejoinMuteBtn.addEventListener('click', () => this.toggleMute());
+      this.prejoinVideoBtn.addEventListener('click', () => this.toggleVideo());
+      this.prejoinDevicesBtn.addEventListener('click', () => this.toggleSettings());
+      this.micSelect.addEventListener('change', () => this.pickDevice('audioinput', this.micSelect.value));
+      this.cameraSelect.addEventListener('change', () => this.pickDevice('videoinput', this.cameraSelect.value));
+      this.speakerSelect.addEventListener('change', () => this.pickDevice('audiooutput', this.speakerSelect.value));
+      this.endCallBtn.addEventListener('click', () => this.endCallForAll());
+      this.copyDiagnosticsBtn.addEventListener('click', () => this.copyDiagnostics());
+      this.sendDiagnosticsBtn.addEventListener('click', () => this.sendDiagnostics());
+      this.lobbyToggle.addEventListener('change', () => {
+        this.socket.emit('set-lobby', { enabled: this.lobbyToggle.checked });
+      });
+      this.waitingLeaveBtn.addEventListener('click', () => this.leave());
+      this.hostNoticeAction.addEventListener('click', () => {
+        if (this.noticeAction) this.noticeAction();
+        this.hideNotice();
+      });
+      this.hostNoticeClose.addEventListener('click', () => this.hideNotice());
+      this.nameForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.setDisplayName(this.nameInput.value);
+        this.toggleRoster(false);
+      });
 
       document.addEventListener('keydown', (e) => {
+        if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
         if (e.key === 'm' || e.key === 'M') this.toggleMute();
         if (e.key === 'v' || e.key === 'V') this.toggleVideo();
       });
     }
 
+    // Both also run from the pre-join screen, whose buttons mirror the call's
     toggleMute() {
       this.isMuted = !this.isMuted;
       const audioTrack = this.localStream.getAudioTracks()[0];
       if (audioTrack) audioTrack.enabled = !this.isMuted;
 
-      this.muteBtn.classList.toggle('active', this.isMuted);
-      this.muteBtn.querySelector('.icon-mic-on').style.display = this.isMuted ? 'none' : '';
-      this.muteBtn.querySelector('.icon-mic-off').style.display = this.isMuted ? '' : 'none';
+      for (const button of [this.muteBtn, this.prejoinMuteBtn]) {
+        button.classList.toggle('active', this.isMuted);
+        button.querySelector('.icon-mic-on').style.display = this.isMuted ? 'none' : '';
+        button.querySelector('.icon-mic-off').style.display = this.isMuted ? '' : 'none';
+      }
     }
 
     toggleVideo() {
@@ -699,9 +2780,12 @@
       const videoTrack = this.localStream.getVideoTracks()[0];
       if (videoTrack) videoTrack.enabled = !this.isVideoOff;
 
-      this.videoBtn.classList.toggle('active', this.isVideoOff);
-      this.videoBtn.querySelector('.icon-video-on').style.display = this.isVideoOff ? 'none' : '';
-      this.videoBtn.querySelector('.icon-video-off').style.display = this.isVideoOff ? '' : 'none';
+      for (const button of [this.videoBtn, this.prejoinVideoBtn]) {
+        button.classList.toggle('active', this.isVideoOff);
+        button.querySelector('.icon-video-on').style.display = this.isVideoOff ? 'none' : '';
+        button.querySelector('.icon-video-off').style.display = this.isVideoOff ? '' : 'none';
+      }
+      this.prejoinPreview.classList.toggle('video-off', this.isVideoOff);
     }
 
     async copyLink() {
@@ -727,16 +2811,45 @@
     }
 
     leave() {
+      this.teardown();
+      this.storeSession(null);
+      if (this.socket) {
+        this.socket.emit('leave-room');
+        this.socket.disconnect();
+      }
+
+      window.location.href = '/';
+    }
+
+    // The host removed us or ended the call; the server disconnects us next
+    endCall(message) {
+      // Hang up first, so that disconnect isn't shown as a connection problem
+      this.socket.disconnect();
+      this.teardown();
+      this.storeSession(null);
+      this.statusText.textContent = message;
+      this.statusOverlay.hidden = false;
+      this.statusOverlay.classList.add('error');
+      setTimeout(() => {
+        window.location.href = '/';
+      }, 3000);
+    }
+
+    // Stop all media and connections
+    teardown() {
       if (this.statsInterval) clearInterval(this.statsInterval);
+      if (this.speakerInterval) clearInterval(this.speakerInterval);
+      navigator.mediaDevices.removeEventListener('devicechange', this.onDeviceChange);
 
       for (const [, peer] of this.peers) {
-        if (peer.relayInterval) clearInterval(peer.relayInterval);
         peer.pc.close();
       }
       this.peers.clear();
+      this.fileTransfers.clear();
 
-      if (this.localStream) {
-        for (const track of this.localStream.getTracks()) {
+      for (const stream of [this.localStream, this.screenStream]) {
+        if (!stream) continue;
+        for (const track of stream.getTracks()) {
           track.stop();
         }
       }
@@ -744,13 +2857,6 @@
       if (this.wakeLock) {
         this.wakeLock.release().catch(() => {});
       }
-
-      if (this.socket) {
-        this.socket.emit('leave-room');
-        this.socket.disconnect();
-      }
-
-      window.location.href = '/';
     }
 
     // --- PiP Drag ---
@@ -758,11 +2864,15 @@
     setupPipDrag() {
       let isDragging = false;
       let startX, startY, startLeft, startTop;
+      let moved = false;
 
       const pip = this.pip;
 
       pip.addEventListener('pointerdown', (e) => {
+        // A swapped-in peer keeps its tile buttons; capturing would steal their click
+        if (e.target.closest('.tile-action')) return;
         isDragging = true;
+        moved = false;
         pip.setPointerCapture(e.pointerId);
         startX = e.clientX;
         startY = e.clientY;
@@ -781,6 +2891,7 @@
         if (!isDragging) return;
         const dx = e.clientX - startX;
         const dy = e.clientY - startY;
+        if (Math.abs(dx) > 5 || Math.abs(dy) > 5) moved = true;
         pip.style.left = `${startLeft + dx}px`;
         pip.style.top = `${startTop + dy}px`;
         pip.style.right = 'auto';
@@ -788,12 +2899,15 @@
       });
 
       pip.addEventListener('pointerup', () => {
+        if (!isDragging) return;
         isDragging = false;
         pip.style.transition = '';
         this.snapPipToCorner();
+        if (!moved) this.onPipTap();
       });
 
       pip.addEventListener('pointercancel', () => {
+        if (!isDragging) return;
         isDragging = false;
         pip.style.transition = '';
         this.snapPipToCorner();
@@ -0,0 +1,284 @@
+(function () {
+  'use strict';
+
+  // Self-test (/test): checks what a call needs one step at a time — camera
+  // and mic, the server, which ICE candidates this network can get, and how
+  // fast data gets through — then sums it up in words a relative can act on.
+
+  const GATHER_TIMEOUT_MS = 10000;
+  const CONNECT_TIMEOUT_MS = 10000;
+  const THROUGHPUT_DURATION_MS = 3000;
+  const THROUGHPUT_CHUNK = 16 * 1024;
+  const THROUGHPUT_BUFFER = 1024 * 1024;
+  // The lowest video quality a call steps down to needs about this much
+  const MIN_GOOD_BITRATE = 600000;
+
+  const checksEl = document.getElementById('checks');
+  const verdictEl = document.getElementById('verdict');
+  const rerunBtn = document.getElementById('rerunBtn');
+
+  const MEDIA_ERRORS = {
+    NotAllowedError: 'доступ запрещён в настройках браузера',
+    NotFoundError: 'камера или микрофон не найдены',
+    NotReadableError: 'заняты другой программой',
+  };
+
+  // One row per check; status is pending, ok, warn or fail
+  function addCheck(title) {
+    const row = document.createElement('li');
+    row.className = 'check';
+    row.dataset.status = 'pending';
+    const name = document.createElement('span');
+    name.className = 'check-title';
+    name.textContent = title;
+    const detail = document.createElement('span');
+    detail.className = 'check-detail';
+    detail.textContent = 'проверяем...';
+    row.append(name, detail);
+    checksEl.appendChild(row);
+    return {
+      set(status, text) {
+        row.dataset.status = status;
+        detail.textContent = text;
+      },
+    };
+  }
+
+  async function getJson(url) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }
+
+  function formatBitrate(bps) {
+    return bps >= 1000000 ? `${(bps / 1000000).toFixed(1)} Мбит/с` : `${Math.round(bps / 1000)} кбит/с`;
+  }
+
+  function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('timeout')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // -> 'ok' | 'blocked' | 'busy' | 'missing'
+  async function checkMedia(check) {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: true });
+      const labels = stream.getTracks().map((track) => track.label).filter(Boolean);
+      for (const track of stream.getTracks()) track.stop();
+      check.set('ok', labels.join(', ') || 'доступны');
+      return 'ok';
+    } catch (err) {
+      check.set('fail', MEDIA_ERRORS[err.name] || err.message);
+      if (err.name === 'NotAllowedError') return 'blocked';
+      if (err.name === 'NotReadableError') return 'busy';
+      return 'missing';
+    }
+  }
+
+  // -> { info, iceServers } | null
+  async function checkServer(check) {
+    try {
+      const [info, credentials] = await Promise.all([
+        getJson('/api/ice-info'),
+        getJson('/api/turn-credentials'),
+      ]);
+      const failing = info.providers.filter((provider) => provider.failing);
+      if (info.providers.length === 0) {
+        check.set('warn', 'на связи; ретранслятор не настроен');
+      } else if (failing.length > 0) {
+        check.set('warn', `на связи; не отвечает: ${failing.map((provider) => provider.label).join(', ')}`);
+      } else {
+        check.set('ok', `на связи; ${info.providers.map((provider) => provider.label).join(', ')}`);
+      }
+      return { info, iceServers: credentials.iceServers };
+    } catch {
+      check.set('fail', 'не отвечает');
+      return null;
+    }
+  }
+
+  // Every candidate this browser gets through the servers, by type:
+  // { host, srflx, relay } -> Set of protocols (udp, tcp)
+  async function gatherCandidates(iceServers) {
+    const pc = new RTCPeerConnection({ iceServers });
+    const found = { host: new Set(), srflx: new Set(), relay: new Set() };
+    const done = new Promise((resolve) => {
+      const timer = setTimeout(resolve, GATHER_TIMEOUT_MS);
+      pc.onicecandidate = ({ candidate }) => {
+        if (!candidate) {
+          clearTimeout(timer);
+          resolve();
+          return;
+        }
+        const line = candidate.candidate;
+        const type = candidate.type || (/ typ (\w+)/.exec(line) || [])[1];
+        const protocol = candidate.protocol || (/^candidate:\S+ \d+ (\w+)/i.exec(line) || [])[1];
+        if (found[type]) found[type].add((protocol || '?').toLowerCase());
+      };
+    });
+    pc.createDataChannel('test');
+    await pc.setLocalDescription(await pc.createOffer());
+    await done;
+    pc.close();
+    return found;
+  }
+
+  // Two connections in this page sending to each other — through the relay
+  // when there is one, so it measures the path a hard-to-reach call takes.
+  // -> { bitrate, rtt } (bits/s, seconds or null)
+  async function measureThroughput(iceServers, viaRelay) {
+    const config = { iceServers, iceTransportPolicy: viaRelay ? 'relay' : 'all' };
+    const sender = new RTCPeerConnection(config);
+    const receiver = new RTCPeerConnection(config);
+    sender.onicecandidate = ({ candidate }) => {
+      if (candidate) receiver.addIceCandidate(candidate).catch(() => {});
+    };
+    receiver.onicecandidate = ({ candidate }) => {
+      if (candidate) sender.addIceCandidate(candidate).catch(() => {});
+    };
+
+    let received = 0;
+    receiver.ondatachannel = ({ channel }) => {
+      channel.binaryType = 'arraybuffer';
+      channel.onmessage = (event) => {
+        received += event.data.byteLength;
+      };
+    };
+
+    try {
+      const channel = sender.createDataChannel('throughput');
+      const opened = new Promise((resolve) => {
+        channel.onopen = resolve;
+      });
+      await sender.setLocalDescription(await sender.createOffer());
+      await receiver.setRemoteDescription(sender.localDescription);
+      await receiver.setLocalDescription(await receiver.createAnswer());
+      await sender.setRemoteDescription(receiver.localDescription);
+      await withTimeout(opened, CONNECT_TIMEOUT_MS);
+
+      const chunk = new ArrayBuffer(THROUGHPUT_CHUNK);
+      channel.bufferedAmountLowThreshold = THROUGHPUT_BUFFER / 2;
+      const start = performance.now();
+      const end = start + THROUGHPUT_DURATION_MS;
+      while (performance.now() < end) {
+        while (channel.bufferedAmount < THROUGHPUT_BUFFER && performance.now() < end) {
+          channel.send(chunk);
+        }
+        await new Promise((resolve) => {
+          channel.onbufferedamountlow = resolve;
+          setTimeout(resolve, 100);
+        });
+      }
+      const bitrate = (received * 8) / ((performance.now() - start) / 1000);
+
+      let rtt = null;
+      const stats = await sender.getStats();
+      for (const report of stats.values()) {
+        if (report.type === 'candidate-pair' && report.nominated && typeof report.currentRoundTripTime === 'number') {
+          rtt = report.currentRoundTripTime;
+        }
+      }
+      return { bitrate, rtt };
+    } finally {
+      sender.close();
+      receiver.close();
+    }
+  }
+
+  // Plain-language summary: { status, text } for the most serious problem
+  // found, in the order a call would run into them
+  function verdict({ media, server, candidates, throughput }) {
+    if (!server) {
+      return { status: 'fail', text: 'Не получается связаться с сервером. Проверьте, работает ли интернет, и попробуйте ещё раз.' };
+    }
+    if (media === 'blocked') {
+      return { status: 'fail', text: 'Браузер не даёт доступ к камере и микрофону. Разрешите доступ в настройках сайта и обновите страницу.' };
+    }
+    if (media === 'busy') {
+      return { status: 'fail', text: 'Камера или микрофон заняты другой программой. Закройте её и проверьте ещё раз.' };
+    }
+    if (candidates.srflx.size === 0 && candidates.relay.size === 0) {
+      return { status: 'fail', text: 'Эта сеть не пропускает видеозвонки. Попробуйте другой Wi-Fi или мобильный интернет.' };
+    }
+    if (media === 'missing') {
+      return { status: 'warn', text: 'Связь в порядке, но камера или микрофон не найдены — вас не будет видно или слышно.' };
+    }
+    if (candidates.relay.size === 0) {
+      return server.info.relay
+        ? { status: 'warn', text: 'Звонки будут работать с большинством собеседников, но ретранслятор недоступен — из некоторых сетей соединиться не получится.' }
+        : { status: 'warn', text: 'Звонки будут работать с большинством собеседников. Ретранслятор на сервере не настроен, поэтому из некоторых сетей соединиться не получится.' };
+    }
+    if (throughput && throughput.bitrate < MIN_GOOD_BITRATE) {
+      return { status: 'warn', text: 'Звонки будут работать, но связь медленная — видео может подтормаживать.' };
+    }
+    return { status: 'ok', text: 'Всё в порядке: звонки в этой сети должны работать.' };
+  }
+
+  async function run() {
+    rerunBtn.disabled = true;
+    checksEl.replaceChildren();
+    verdictEl.hidden = true;
+
+    if (!window.RTCPeerConnection || !navigator.mediaDevices) {
+      addCheck('Браузер').set('fail', 'не поддерживает видеозвонки');
+      showVerdict({ status: 'fail', text: 'Этот браузер не умеет видеозвонки. Откройте ссылку в Chrome, Safari или Firefox.' });
+      return;
+    }
+
+    const mediaCheck = addCheck('Камера и микрофон');
+    const serverCheck = addCheck('Сервер');
+    const media = await checkMedia(mediaCheck);
+    const server = await checkServer(serverCheck);
+    if (!server) {
+      showVerdict(verdict({ media, server }));
+      return;
+    }
+
+    const hostCheck = addCheck('Локальная сеть (host)');
+    const srflxCheck = addCheck('Прямое соединение (srflx)');
+    const relayCheck = addCheck('Ретранслятор (relay)');
+    let candidates = { host: new Set(), srflx: new Set(), relay: new Set() };
+    try {
+      candidates = await gatherCandidates(server.iceServers);
+    } catch (err) {
+      console.error('Candidate gathering failed:', err);
+    }
+    const protocols = (set) => [...set].join(', ');
+    if (candidates.host.size > 0) hostCheck.set('ok', protocols(candidates.host));
+    else hostCheck.set('warn', 'не найдено');
+    if (candidates.srflx.size > 0) srflxCheck.set('ok', protocols(candidates.srflx));
+    else srflxCheck.set('fail', 'недоступно — сеть закрывает UDP');
+    if (candidates.relay.size > 0) relayCheck.set('ok', protocols(candidates.relay));
+    else if (server.info.relay) relayCheck.set('fail', 'не отвечает');
+    else relayCheck.set('warn', 'не настроен на сервере');
+
+    const viaRelay = candidates.relay.size > 0;
+    const throughputCheck = addCheck(viaRelay ? 'Скорость через ретранслятор' : 'Скорость (внутри устройства)');
+    let throughput = null;
+    try {
+      throughput = await measureThroughput(server.iceServers, viaRelay);
+      const rtt = throughput.rtt === null ? '' : `, задержка ${Math.round(throughput.rtt * 1000)} мс`;
+      throughputCheck.set(throughput.bitrate >= MIN_GOOD_BITRATE ? 'ok' : 'warn', formatBitrate(throughput.bitrate) + rtt);
+    } catch (err) {
+      console.error('Throughput test failed:', err);
+      throughputCheck.set('fail', 'не удалось соединиться');
+    }
+
+    // Without the relay, the loopback never leaves this device, so its
+    // speed says nothing about the network
+    showVerdict(verdict({ media, server, candidates, throughput: viaRelay ? throughput : null }));
+  }
+
+  function showVerdict({ status, text }) {
+    verdictEl.dataset.status = status;
+    verdictEl.textContent = text;
+    verdictEl.hidden = false;
+    rerunBtn.disabled = false;
+  }
+
+  rerunBtn.addEventListener('click', run);
+  run();
+})();
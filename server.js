@@ -4,9 +4,21 @@ const express = require('express');
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const path = require('path');
-const { nanoid, customAlphabet } = require('nanoid');
+const { nanoid } = require('nanoid');
+const { AbuseGuard, clientIp } = require('./lib/abuse-guard');
+const { RoomIdAllocator, RoomIdSpaceExhaustedError, roomIdConfigFromEnv } = require('./lib/room-ids');
+const RoomIdFormat = require('./public/js/room-id');
+const { createRoomStore } = require('./lib/room-store');
+const { LocalMembership } = require('./lib/membership');
+const { remoteService, EVICTED_CHANNEL } = require('./lib/cluster/broker');
+const { connectBroker } = require('./lib/cluster/unix');
+const { createPubSubAdapter } = require('./lib/cluster/adapter');
+const { checkTurnServers } = require('./lib/turn-rest');
+const { IceProviderChain, iceProvidersFromEnv } = require('./lib/ice-providers');
+const { createDiagnosticsStore } = require('./lib/diagnostics-store');
 
 const app = express();
 
@@ -23,217 +35,1159 @@ if (fs.existsSync(path.join(certPath, 'key.pem')) && fs.existsSync(path.join(cer
   server = http.createServer(app);
 }
 
+// Signaling limits — a real SDP for one audio + one video transceiver is a
+// few KB, so anything far beyond these is a bug or someone abusing the relay.
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_PARTICIPANT_ID_LENGTH = 64;
+// Chat normally goes peer to peer; these bound what the relay fallback carries
+const MAX_CHAT_LENGTH = 1000;
+const MAX_CHAT_HISTORY = 50;
+const MAX_NAME_LENGTH = 40;
+// Largest diagnostics upload accepted. A full timeline (1000 events, with a
+// stats snapshot per peer every 10 s) is a few hundred KB; how much is kept on
+// disk in all is up to the store (see lib/diagnostics-store.js).
+const MAX_DIAGNOSTICS_BYTES = 1024 * 1024;
+
 const io = new Server(server, {
   cors: { origin: '*' },
   pingInterval: 10000,
   pingTimeout: 5000,
+  maxHttpBufferSize: MAX_SDP_LENGTH * 2,
 });
 
 const PORT = process.env.PORT || 10000;
 const MAX_PARTICIPANTS = 4;
+// People waiting in a room's lobby at once
+const MAX_WAITING = 8;
+// Removed participants a room remembers (and keeps out)
+const MAX_REMOVED = 20;
 
-// Room ID generator — 4 digits, numeric keyboard on mobile
-const generateRoomId = customAlphabet('0123456789', 4);
+// Per-socket signaling budget (token bucket). ICE gathering bursts a dozen or
+// so candidates per peer, so the burst is generous; the sustained rate is not.
+const SIGNAL_BURST = 60;
+const SIGNAL_REFILL_PER_SEC = 10;
 
-// In-memory room state
-const rooms = new Map(); // roomId -> { participants: Set<socketId>, createdAt: Date }
+// Number of reverse proxies in front of us (1 on Render). Needed to read the
+// real client IP from X-Forwarded-For for rate limiting.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || '0', 10) || 0;
 
-// Clean up stale rooms every 30 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, room] of rooms) {
-    if (room.participants.size === 0 && now - room.createdAt > 3600000) {
-      rooms.delete(id);
-    }
+// Rate limits + temporary bans for anything that reveals whether a room exists
+const abuseGuard = new AbuseGuard();
+
+// Room IDs — 4 digits by default (numeric keyboard on mobile); see .env.example
+const roomIdConfig = roomIdConfigFromEnv(process.env);
+const roomIdFormat = RoomIdFormat.create(roomIdConfig);
+
+// Passcodes are short and human-chosen; keep them to something a relative can
+// type on a phone keyboard.
+const PASSCODE_MIN_LENGTH = 4;
+const PASSCODE_MAX_LENGTH = 32;
+
+// How long a room outlives its last use. Rooms that are created but never
+// joined go sooner so abandoned "new call" clicks don't hold on to IDs.
+const ROOM_TTL_MS = (parseFloat(process.env.ROOM_TTL_HOURS) || 24) * 3600000;
+const ROOM_UNUSED_TTL_MS = 3600000;
+const ROOM_KEEPALIVE_MS = 10 * 60000;
+
+// Cluster mode: with CLUSTER_BROKER_SOCKET set, this instance shares rooms,
+// membership and signaling with every other instance on the same broker
+// (start it with `npm run broker`). Without it, everything stays in-process.
+const CLUSTER_BROKER_SOCKET = process.env.CLUSTER_BROKER_SOCKET || null;
+const INSTANCE_ID = `${require('os').hostname()}:${process.pid}:${nanoid(6)}`;
+
+// A dropped socket keeps its participant's seat this long, so a client that
+// reconnects (network switch, tab in background) resumes without the others
+// tearing down their connections to it.
+const RESUME_GRACE_MS = 30000;
+
+// Persistent room metadata: { id, createdAt, expiresAt, settings: { passcode, ... } }.
+// settings.ended marks a room the host ended: kept until it expires so the
+// link stays dead rather than reopening as a new room.
+// Live call state (who is in the call, lock): see lib/membership.js
+// Both are set up in start() — local, or proxies to the cluster broker.
+let roomStore = null;
+let membership = null;
+
+const roomIdAllocator = new RoomIdAllocator(roomIdFormat);
+
+// Resolves to the new record, or null if the ID is already taken
+// hostKey: given to whoever created the room, so they get host controls even
+// if someone else joins first. Ad-hoc rooms have none.
+// lobby: joiners wait until someone in the call admits them.
+function createRoomRecord(roomId, passcode = null, hostKey = null, lobby = false) {
+  const settings = {
+    passcode: passcode ? hashPasscode(passcode) : null,
+    hostKey: hostKey ? hashToken(hostKey) : null,
+    lobby,
+  };
+  return roomStore.create(roomId, settings, ROOM_UNUSED_TTL_MS);
+}
+
+function touchRoom(roomId) {
+  roomStore.touch(roomId, ROOM_TTL_MS).catch((err) => {
+    console.error(`[${roomId}] could not refresh room expiry:`, err.message);
+  });
+}
+
+// Occupied rooms must never expire under the people in them
+setInterval(async () => {
+  try {
+    for (const roomId of await membership.roomIds()) touchRoom(roomId);
+  } catch (err) {
+    console.error('Room keepalive failed:', err.message);
   }
-}, 1800000);
+}, ROOM_KEEPALIVE_MS).unref();
+
+function isValidPasscode(passcode) {
+  return (
+    typeof passcode === 'string' &&
+    passcode.length >= PASSCODE_MIN_LENGTH &&
+    passcode.length <= PASSCODE_MAX_LENGTH
+  );
+}
 
-// Middleware
+// Stored as hex so room records stay plain JSON
+function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16);
+  return {
+    salt: salt.toString('hex'),
+    hash: crypto.scryptSync(passcode, salt, 32).toString('hex'),
+  };
+}
+
+function checkPasscode(record, passcode) {
+  const stored = record.settings.passcode;
+  if (!stored) return true;
+  if (typeof passcode !== 'string' || passcode.length > PASSCODE_MAX_LENGTH) return false;
+  const hash = crypto.scryptSync(passcode, Buffer.from(stored.salt, 'hex'), 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+// Middleware — diagnostics reports get a larger body limit than the rest
+app.use('/api/diagnostics', express.json({ limit: MAX_DIAGNOSTICS_BYTES }));
 app.use(express.json());
+
+// Room ID format for the browser — loaded as a plain script before main.js / room.js
+app.get('/js/room-id-config.js', (req, res) => {
+  res.type('application/javascript');
+  res.send(`window.ROOM_ID_CONFIG = ${JSON.stringify(roomIdConfig)};\n`);
+});
+
 app.use(express.static(path.join(__dirname, 'public')));
 
 // --- REST API ---
 
-// Create a new room
-app.post('/api/rooms', (req, res) => {
+function requestIp(req) {
+  return clientIp({ headers: req.headers, address: req.socket.remoteAddress }, TRUST_PROXY_HOPS);
+}
+
+function rejectTooManyAttempts(res, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many attempts. Try again later.', retryAfter });
+}
+
+// Throttle room creation and lookups per IP
+function guardRoomRoutes(req, res, next) {
+  const result = abuseGuard.attempt(requestIp(req));
+  if (!result.allowed) return rejectTooManyAttempts(res, result.retryAfterMs);
+  next();
+}
+
+app.use('/api/rooms', guardRoomRoutes);
+
+// Create a new room, optionally protected by a passcode
+app.post('/api/rooms', async (req, res) => {
+  const passcode = req.body && req.body.passcode;
+  if (passcode != null && passcode !== '' && !isValidPasscode(passcode)) {
+    return res.status(400).json({
+      error: `Passcode must be ${PASSCODE_MIN_LENGTH}-${PASSCODE_MAX_LENGTH} characters`,
+    });
+  }
+
+  const lobby = Boolean(req.body && req.body.lobby);
+  const hostKey = crypto.randomBytes(24).toString('base64url');
   let roomId;
-  let attempts = 0;
-  do {
-    roomId = generateRoomId();
-    attempts++;
-  } while (rooms.has(roomId) && attempts < 20);
-  rooms.set(roomId, { participants: new Set(), createdAt: Date.now() });
-  res.json({ roomId });
+  try {
+    roomId = await roomIdAllocator.allocate(async (id) => {
+      if (await membership.get(id)) return false;
+      return (await createRoomRecord(id, passcode || null, hostKey, lobby)) !== null;
+    });
+  } catch (err) {
+    if (err instanceof RoomIdSpaceExhaustedError) {
+      console.error('Room ID space exhausted — consider a longer ROOM_ID_LENGTH');
+      return res.status(503).json({ error: 'No rooms available right now. Try again later.' });
+    }
+    console.error('Room creation failed:', err.message);
+    return res.status(500).json({ error: 'Could not create room' });
+  }
+  res.json({ roomId, requiresPasscode: Boolean(passcode), lobby, hostKey });
 });
 
 // Check room status
-app.get('/api/rooms/:id', (req, res) => {
-  const room = rooms.get(req.params.id);
-  if (!room) {
+app.get('/api/rooms/:id', async (req, res) => {
+  const roomId = roomIdFormat.normalize(req.params.id);
+  let record = null;
+  let live = null;
+  try {
+    record = roomIdFormat.test(roomId) ? await roomStore.get(roomId) : null;
+    live = record && (await membership.get(roomId));
+  } catch (err) {
+    console.error(`[${roomId}] room lookup failed:`, err.message);
+    return res.status(500).json({ error: 'Could not look up room' });
+  }
+  if (!record) {
+    // Forgiven if this client goes on to join (and so create) the room
+    const ip = requestIp(req);
+    const banMs = abuseGuard.fail(ip, roomId);
+    if (banMs) {
+      console.warn(`[abuse] ${ip} banned for ${Math.round(banMs / 60000)} min`);
+      return rejectTooManyAttempts(res, banMs);
+    }
     return res.status(404).json({ error: 'Room not found' });
   }
+  if (record.settings.ended) {
+    return res.status(410).json({ error: 'This call has ended', ended: true });
+  }
+  const participants = live ? live.members.length : 0;
   res.json({
-    roomId: req.params.id,
-    participants: room.participants.size,
+    roomId,
+    participants,
     maxParticipants: MAX_PARTICIPANTS,
-    isFull: room.participants.size >= MAX_PARTICIPANTS,
+    isFull: participants >= MAX_PARTICIPANTS,
+    requiresPasscode: Boolean(record.settings.passcode),
+    isLocked: Boolean(live && live.locked),
+    hasLobby: Boolean(record.settings.lobby),
   });
 });
 
-// STUN fallback servers (multiple providers for reliability)
-const STUN_FALLBACK = [
-  { urls: 'stun:stun.relay.metered.ca:80' },
-  { urls: 'stun:stun.l.google.com:19302' },
-  { urls: 'stun:stun1.l.google.com:19302' },
-];
+// ICE servers: self-hosted TURN, Metered and/or a static list, tried in order
+// (see lib/ice-providers.js). Config errors are reported at startup.
+const iceConfig = iceProvidersFromEnv(process.env);
+const iceProviders = new IceProviderChain(iceConfig.providers, {
+  timeoutMs: parseInt(process.env.ICE_PROVIDER_TIMEOUT_MS || '3000', 10) || 3000,
+});
 
-// Proxy TURN credentials from Metered.ca
+// ttl is relative (seconds) so the client's clock doesn't matter; null means
+// the servers never expire
 app.get('/api/turn-credentials', async (req, res) => {
-  const apiKey = process.env.METERED_API_KEY;
-  const domain = process.env.METERED_DOMAIN;
-  if (!apiKey || !domain) {
-    return res.json(STUN_FALLBACK);
+  const { iceServers, expiresAt } = await iceProviders.get();
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    iceServers,
+    ttl: expiresAt === null ? null : Math.max(0, Math.floor((expiresAt - Date.now()) / 1000)),
+  });
+});
+
+// Diagnostics reports from the call page, saved on this instance (see
+// lib/diagnostics-store.js). The ID goes back to the user to quote.
+const diagnosticsStore = createDiagnosticsStore(process.env, __dirname);
+const diagnosticsGuard = new AbuseGuard({ requestLimit: 5, requestWindowMs: 10 * 60 * 1000 });
+
+app.post('/api/diagnostics', async (req, res) => {
+  const result = diagnosticsGuard.attempt(requestIp(req));
+  if (!result.allowed) return rejectTooManyAttempts(res, result.retryAfterMs);
+
+  const report = req.body;
+  if (!report || typeof report !== 'object' || Array.isArray(report) || !Array.isArray(report.events)) {
+    return res.status(400).json({ error: 'Expected a diagnostics report' });
   }
+  const roomId = roomIdFormat.test(report.roomId) ? report.roomId : null;
 
+  let id;
   try {
-    const response = await fetch(
-      `https://${domain}.metered.live/api/v1/turn/credentials?apiKey=${apiKey}`
-    );
-    if (!response.ok) throw new Error(`Metered API error: ${response.status}`);
-    const servers = await response.json();
-    res.json(servers);
+    id = await diagnosticsStore.save(report, { roomId, userAgent: req.get('user-agent') || null });
   } catch (err) {
-    console.error('TURN credential fetch failed:', err.message);
-    res.json(STUN_FALLBACK);
+    console.error('Saving diagnostics failed:', err.message);
+    return res.status(500).json({ error: 'Could not save diagnostics' });
   }
+  console.log(`${roomId ? `[${roomId}] ` : ''}diagnostics report ${id} saved`);
+  res.json({ id });
 });
 
-// Serve room page — just 4 digits after domain, no /room/ prefix
-app.get('/room/:id(\\d{4})', (req, res) => {
-  res.redirect(301, `/${req.params.id}`);
+// Which ICE providers are configured, for the /test page — names and public
+// labels only; servers and credentials come from /api/turn-credentials
+app.get('/api/ice-info', (req, res) => {
+  const providers = iceProviders.describe();
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    providers,
+    relay: providers.some((provider) => provider.relay),
+    fallback: 'stun',
+  });
+});
+
+// Network and camera self-test. Registered before the room route, since
+// "test" could be a valid room ID in some formats (it is reserved, see
+// public/js/room-id.js).
+app.get('/test', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'test.html'));
 });
 
-app.get('/:id(\\d{4})', (req, res) => {
+// Serve room page — just the room ID after domain, no /room/ prefix
+app.get(['/:id', '/room/:id'], (req, res, next) => {
+  const roomId = roomIdFormat.fromPath(req.path);
+  if (!roomId) return next();
+  if (req.path !== `/${roomId}`) {
+    return res.redirect(301, `/${roomId}`);
+  }
   res.sendFile(path.join(__dirname, 'public', 'room.html'));
 });
 
+// --- Signaling validation ---
+
+function isValidTarget(target) {
+  return typeof target === 'string' && target.length > 0 && target.length <= MAX_PARTICIPANT_ID_LENGTH;
+}
+
+// Returns a clean { type, sdp } copy, or null if the description is malformed
+function sanitizeSdp(sdp, expectedType) {
+  if (!sdp || typeof sdp !== 'object') return null;
+  if (sdp.type !== expectedType) return null;
+  if (typeof sdp.sdp !== 'string' || sdp.sdp.length === 0 || sdp.sdp.length > MAX_SDP_LENGTH) {
+    return null;
+  }
+  return { type: sdp.type, sdp: sdp.sdp };
+}
+
+// Returns a clean RTCIceCandidateInit copy, or null if the candidate is malformed
+function sanitizeCandidate(candidate) {
+  if (!candidate || typeof candidate !== 'object') return null;
+  if (typeof candidate.candidate !== 'string' || candidate.candidate.length > MAX_CANDIDATE_LENGTH) {
+    return null;
+  }
+  const { sdpMid = null, sdpMLineIndex = null, usernameFragment = null } = candidate;
+  if (sdpMid !== null && (typeof sdpMid !== 'string' || sdpMid.length > 32)) return null;
+  if (sdpMLineIndex !== null && !(Number.isInteger(sdpMLineIndex) && sdpMLineIndex >= 0 && sdpMLineIndex < 64)) {
+    return null;
+  }
+  if (usernameFragment !== null && (typeof usernameFragment !== 'string' || usernameFragment.length > 256)) {
+    return null;
+  }
+  return { candidate: candidate.candidate, sdpMid, sdpMLineIndex, usernameFragment };
+}
+
+// Returns a clean { id, from, text, sentAt } copy, or null if malformed
+function sanitizeChatMessage(message) {
+  if (!message || typeof message !== 'object') return null;
+  const { id, from, text, sentAt } = message;
+  if (!isValidTarget(id) || !isValidTarget(from)) return null;
+  if (typeof text !== 'string' || text.length === 0 || text.length > MAX_CHAT_LENGTH) return null;
+  if (!Number.isFinite(sentAt)) return null;
+  return { id, from, text, sentAt };
+}
+
+// { type: 'message', message } or { type: 'history', messages }
+function sanitizeChat(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.type === 'message') {
+    const message = sanitizeChatMessage(payload.message);
+    return message && { type: 'message', message };
+  }
+  if (payload.type === 'history') {
+    const { messages } = payload;
+    if (!Array.isArray(messages) || messages.length > MAX_CHAT_HISTORY) return null;
+    const clean = messages.map(sanitizeChatMessage);
+    return clean.includes(null) ? null : { type: 'history', messages: clean };
+  }
+  return null;
+}
+
+// Returns a clean { streamId, replacesCamera } copy, or null if malformed.
+// streamId names the MediaStream a screen share arrives on; null once it stops.
+function sanitizeScreenShare(screen) {
+  if (!screen || typeof screen !== 'object') return null;
+  const { streamId = null, replacesCamera = false } = screen;
+  if (streamId !== null && (typeof streamId !== 'string' || streamId.length === 0 || streamId.length > 64)) {
+    return null;
+  }
+  if (typeof replacesCamera !== 'boolean') return null;
+  return { streamId, replacesCamera };
+}
+
+// --- Participants ---
+
+// Signaling is addressed to participants; each one's current socket sits in
+// this socket.io room, which also reaches it on another cluster instance.
+function participantChannel(participantId) {
+  return `participant:${participantId}`;
+}
+
+// Only hashes of resume tokens and host keys are kept, so neither the
+// membership state nor the room store holds a usable one
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Identifies a participant's browser for keeping it out once removed: the
+// random client ID it keeps (see room.js), hashed with the room ID. Not the
+// IP — that would keep out everyone sharing the connection. A client
+// without one can't be kept out; it gets null.
+function clientKeyFor(roomId, clientId) {
+  if (typeof clientId !== 'string' || !/^[A-Za-z0-9_-]{16,64}$/.test(clientId)) return null;
+  return hashToken(`${roomId}:${clientId}`);
+}
+
+function isRemovedClient(record, clientKey) {
+  return Array.isArray(record.settings.removed) && record.settings.removed.includes(clientKey);
+}
+
+function checkHostKey(record, hostKey) {
+  const stored = record.settings.hostKey;
+  if (!stored || typeof hostKey !== 'string' || hostKey.length === 0 || hostKey.length > 128) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(hostKey), 'hex'), Buffer.from(stored, 'hex'));
+}
+
+// Returns { participantId, token, reattach }, or null if absent or malformed
+function parseResume(resume) {
+  if (!resume || typeof resume !== 'object') return null;
+  const { participantId, token } = resume;
+  if (!isValidTarget(participantId) || typeof token !== 'string' || token.length === 0 || token.length > 128) {
+    return null;
+  }
+  return { participantId, token, reattach: Boolean(resume.reattach) };
+}
+
+// Trimmed display name without control characters, or null if there's none
+function sanitizeDisplayName(name) {
+  if (typeof name !== 'string') return null;
+  const clean = name
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+  return clean || null;
+}
+
+// Everyone in the call, in join order, who the host is and who is waiting
+// in the lobby
+function rosterOf(room) {
+  return {
+    participants: room.members.map((id) => ({ participantId: id, name: room.names[id] })),
+    host: room.host,
+    waiting: room.waiting,
+  };
+}
+
+// A socket waiting in a lobby sits in this room until it is answered
+function knockChannel(requestId) {
+  return `knock:${requestId}`;
+}
+
+// Send the current roster to the room. `target` is io.local when every
+// instance sends to its own sockets (see the eviction handler).
+async function broadcastRoster(roomId, target = io) {
+  let room;
+  try {
+    room = await membership.get(roomId);
+  } catch (err) {
+    console.error(`[${roomId}] roster lookup failed:`, err.message);
+    return;
+  }
+  if (room) target.to(roomId).emit('roster', rosterOf(room));
+}
+
 // --- Socket.io Signaling ---
 
 io.on('connection', (socket) => {
   let currentRoom = null;
+  let participantId = null;
+  let knocking = null; // { roomId, requestId } while waiting in a lobby
+  const ip = clientIp(
+    { headers: socket.handshake.headers, address: socket.handshake.address },
+    TRUST_PROXY_HOPS
+  );
+  let signalTokens = SIGNAL_BURST;
+  let signalRefillAt = Date.now();
+
+  function takeSignalToken() {
+    const now = Date.now();
+    signalTokens = Math.min(
+      SIGNAL_BURST,
+      signalTokens + ((now - signalRefillAt) / 1000) * SIGNAL_REFILL_PER_SEC
+    );
+    signalRefillAt = now;
+    if (signalTokens < 1) return false;
+    signalTokens -= 1;
+    return true;
+  }
 
-  socket.on('join-room', ({ roomId }) => {
-    // Create room on-the-fly if it doesn't exist (for direct link sharing)
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, { participants: new Set(), createdAt: Date.now() });
+  function rejectSignal(event, target, reason) {
+    console.warn(`[signal] rejected ${event} ${participantId || socket.id} → ${target}: ${reason}`);
+    socket.emit('signal-error', { event, target: isValidTarget(target) ? target : null, reason });
+  }
+
+  // Membership lookups are async (they may go to the cluster broker), so
+  // relays are chained per socket to keep an offer ahead of its candidates
+  let relayQueue = Promise.resolve();
+
+  // Relay a signaling message, but only between members of the same room
+  function relaySignal(event, target, payload) {
+    const roomId = currentRoom;
+    const sender = participantId;
+    relayQueue = relayQueue
+      .then(async () => {
+        const room = roomId && (await membership.get(roomId));
+        if (!room || !room.members.includes(sender)) {
+          rejectSignal(event, target, 'not-in-room');
+          return;
+        }
+        if (target === sender || !room.members.includes(target)) {
+          rejectSignal(event, target, 'target-not-in-room');
+          return;
+        }
+        io.to(participantChannel(target)).emit(event, { sender, ...payload });
+        // Descriptions only: candidates and chat are too chatty to log
+        if (event === 'offer' || event === 'answer') console.log(`[signal] ${event} ${sender} → ${target}`);
+      })
+      .catch((err) => {
+        console.error(`[signal] relay failed: ${err.message}`);
+        rejectSignal(event, target, 'server-error');
+      });
+  }
+
+  function handleSignal(event, msg, sanitize) {
+    const target = msg && typeof msg === 'object' ? msg.target : undefined;
+    if (!takeSignalToken()) {
+      rejectSignal(event, target, 'rate-limited');
+      return;
     }
+    if (!isValidTarget(target)) {
+      rejectSignal(event, target, 'invalid-target');
+      return;
+    }
+    const payload = sanitize(msg);
+    if (!payload) {
+      rejectSignal(event, target, 'invalid-payload');
+      return;
+    }
+    relaySignal(event, target, payload);
+  }
 
-    const room = rooms.get(roomId);
+  socket.on('join-room', async (msg) => {
+    const rawRoomId = msg && typeof msg === 'object' ? msg.roomId : undefined;
+    const roomId = typeof rawRoomId === 'string' ? roomIdFormat.normalize(rawRoomId) : null;
+    if (!roomIdFormat.test(roomId)) {
+      socket.emit('signal-error', { event: 'join-room', target: null, reason: 'invalid-payload' });
+      return;
+    }
 
-    if (room.participants.size >= MAX_PARTICIPANTS) {
-      socket.emit('room-full');
+    const attempt = abuseGuard.attempt(ip);
+    if (!attempt.allowed) {
+      rejectJoin(attempt.retryAfterMs);
       return;
     }
 
-    // Leave previous room if any
-    if (currentRoom) {
-      leaveRoom(socket, currentRoom);
+    // Create room on-the-fly if it doesn't exist (for direct link sharing).
+    // After a lookup of the same room (the pre-join screen makes one) that is
+    // a first visit, and the lookup's miss is taken back — a few times per
+    // window, see AbuseGuard.forgive. Otherwise it counts as a miss, since
+    // scanning for live rooms looks just like this — checked before anything
+    // is created.
+    let record;
+    let room;
+    try {
+      record = await roomStore.get(roomId);
+      if (!record) {
+        if (!abuseGuard.forgive(ip, roomId) && failJoin()) return;
+        // Lost a race with another joiner creating the same room? Use theirs.
+        record = (await createRoomRecord(roomId)) || (await roomStore.get(roomId));
+      }
+      room = await membership.get(roomId);
+    } catch (err) {
+      console.error(`[${roomId}] room lookup failed:`, err.message);
+      socket.emit('signal-error', { event: 'join-room', target: null, reason: 'server-error' });
+      return;
+    }
+    if (record.settings.ended) {
+      socket.emit('room-ended', { by: null });
+      return;
+    }
+
+    if (currentRoom === roomId && room && room.members.includes(participantId)) return;
+
+    // A participant coming back within the grace period takes its seat back.
+    // Its token already got it past the lock and passcode once.
+    const resume = parseResume(msg.resume);
+    const name = sanitizeDisplayName(msg.name);
+    let joined = null;
+    let resumed = false;
+    let resumeToken = null;
+    let joinedAs = null;
+    if (resume) {
+      try {
+        joined = await membership.resume(roomId, resume.participantId, {
+          tokenHash: hashToken(resume.token),
+          owner: INSTANCE_ID,
+          connection: socket.id,
+          name,
+        });
+      } catch (err) {
+        console.error(`[${roomId}] resume failed:`, err.message);
+        socket.emit('signal-error', { event: 'join-room', target: null, reason: 'server-error' });
+        return;
+      }
+      if (joined.ok) {
+        resumed = true;
+        joinedAs = resume.participantId;
+        resumeToken = resume.token;
+      } else {
+        joined = null;
+      }
+    }
+
+    const clientKey = clientKeyFor(roomId, msg.clientId);
+    const claimHost = checkHostKey(record, msg.hostKey);
+    if (!joined) {
+      // The room's creator gets back in even from a removed browser
+      if (!claimHost && clientKey && isRemovedClient(record, clientKey)) {
+        socket.emit('removed', { by: null });
+        return;
+      }
+
+      if (room && room.locked) {
+        if (failJoin()) return;
+        socket.emit('room-locked');
+        return;
+      }
+
+      if (record.settings.passcode) {
+        const { passcode } = msg;
+        if (passcode == null || passcode === '') {
+          socket.emit('passcode-required');
+          return;
+        }
+        if (!checkPasscode(record, passcode)) {
+          console.warn(`[${roomId}] ${socket.id} wrong passcode`);
+          if (failJoin()) return;
+          socket.emit('passcode-invalid');
+          return;
+        }
+      }
+
+      // Lobby: wait for someone in the call to let us in, unless we created
+      // the room or have just been admitted. An empty room has nobody to ask.
+      if (record.settings.lobby && !claimHost && room && room.members.length > 0) {
+        let admitted = false;
+        if (knocking && knocking.roomId === roomId && msg.knock === knocking.requestId) {
+          try {
+            admitted = await membership.takeAdmission(roomId, knocking.requestId, socket.id);
+          } catch (err) {
+            console.error(`[${roomId}] admission check failed:`, err.message);
+          }
+        }
+        if (!admitted) {
+          knock(roomId, name);
+          return;
+        }
+        stopKnocking();
+      }
+
+      // Capacity (and the lock, again) is checked atomically by membership.join —
+      // that holds across instances too, since in cluster mode it runs in the broker
+      joinedAs = nanoid(12);
+      resumeToken = crypto.randomBytes(24).toString('base64url');
+      try {
+        joined = await membership.join(roomId, joinedAs, {
+          max: MAX_PARTICIPANTS,
+          owner: INSTANCE_ID,
+          connection: socket.id,
+          tokenHash: hashToken(resumeToken),
+          name,
+          claimHost,
+          clientKey,
+        });
+      } catch (err) {
+        console.error(`[${roomId}] join failed:`, err.message);
+        socket.emit('signal-error', { event: 'join-room', target: null, reason: 'server-error' });
+        return;
+      }
+      if (!joined.ok) {
+        socket.emit(joined.reason === 'locked' ? 'room-locked' : 'room-full');
+        return;
+      }
+    }
+    if (!socket.connected) {
+      membership.leave(roomId, joinedAs, socket.id).catch(() => {});
+      return;
     }
 
+    // Leave previous room (or seat) if any
+    if (currentRoom && (currentRoom !== roomId || participantId !== joinedAs)) {
+      leaveRoom(currentRoom, participantId);
+    }
+
+    withdrawKnock();
     currentRoom = roomId;
-    room.participants.add(socket.id);
+    participantId = joinedAs;
     socket.join(roomId);
+    socket.join(participantChannel(participantId));
+    touchRoom(roomId);
+
+    // The same participant on a socket that never noticed it was replaced
+    if (joined.replaced) {
+      io.in(joined.replaced).disconnectSockets(true);
+    }
 
     // Tell the joiner who's already in the room
-    const existingParticipants = [...room.participants].filter(
-      (id) => id !== socket.id
-    );
-    socket.emit('room-joined', { participants: existingParticipants });
+    const existingParticipants = joined.members.filter((id) => id !== participantId);
+    socket.emit('room-joined', {
+      participantId,
+      resumeToken,
+      resumed,
+      participants: existingParticipants,
+      locked: joined.locked,
+      lobby: Boolean(record.settings.lobby),
+    });
 
-    // Tell existing participants about the new joiner
-    socket.to(roomId).emit('participant-joined', { socketId: socket.id });
+    // Tell existing participants. A client that kept its peer connections
+    // reattaches to them; anyone else (e.g. after a page reload) starts over.
+    if (resumed && resume.reattach) {
+      socket.to(roomId).emit('participant-resumed', { participantId });
+    } else {
+      socket.to(roomId).emit('participant-joined', { participantId });
+    }
+    io.to(roomId).emit('roster', rosterOf(joined));
 
     console.log(
-      `[${roomId}] ${socket.id} joined (${room.participants.size}/${MAX_PARTICIPANTS})`
+      `[${roomId}] ${participantId} ${resumed ? 'resumed' : 'joined'} (${joined.members.length}/${MAX_PARTICIPANTS})`
     );
   });
 
-  // Targeted signaling — relay to specific peer
-  socket.on('offer', ({ target, sdp }) => {
-    console.log(`[signal] offer ${socket.id} → ${target}`);
-    io.to(target).emit('offer', { sender: socket.id, sdp });
+  // Targeted signaling — relay to a specific peer in the same room
+  socket.on('offer', (msg) => {
+    handleSignal('offer', msg, ({ sdp }) => {
+      const clean = sanitizeSdp(sdp, 'offer');
+      return clean && { sdp: clean };
+    });
+  });
+
+  socket.on('answer', (msg) => {
+    handleSignal('answer', msg, ({ sdp }) => {
+      const clean = sanitizeSdp(sdp, 'answer');
+      return clean && { sdp: clean };
+    });
+  });
+
+  socket.on('ice-candidate', (msg) => {
+    handleSignal('ice-candidate', msg, ({ candidate }) => {
+      const clean = sanitizeCandidate(candidate);
+      return clean && { candidate: clean };
+    });
+  });
+
+  // Chat fallback for peers whose data channel isn't open
+  socket.on('chat', (msg) => {
+    handleSignal('chat', msg, ({ payload }) => {
+      const clean = sanitizeChat(payload);
+      return clean && { payload: clean };
+    });
+  });
+
+  socket.on('screen-share', (msg) => {
+    handleSignal('screen-share', msg, ({ screen }) => {
+      const clean = sanitizeScreenShare(screen);
+      return clean && { screen: clean };
+    });
+  });
+
+  function rejectJoin(retryAfterMs) {
+    socket.emit('too-many-attempts', { retryAfter: Math.ceil(retryAfterMs / 1000) });
+  }
+
+  // Record a failed join; true if that got the client banned (already told)
+  function failJoin() {
+    const banMs = abuseGuard.fail(ip);
+    if (!banMs) return false;
+    console.warn(`[abuse] ${ip} banned for ${Math.round(banMs / 60000)} min`);
+    rejectJoin(banMs);
+    return true;
+  }
+
+  // Any participant can lock the room against new joiners (or unlock it).
+  // The lock lasts until the room empties out.
+  socket.on('set-room-lock', async (msg) => {
+    const roomId = currentRoom;
+    if (!roomId) return;
+    const locked = Boolean(msg && msg.locked);
+    try {
+      if (!(await membership.has(roomId, participantId))) return;
+      if (!(await membership.setLocked(roomId, locked))) return;
+    } catch (err) {
+      console.error(`[${roomId}] lock change failed:`, err.message);
+      return;
+    }
+    io.to(roomId).emit('room-lock-changed', { locked, by: participantId });
+    console.log(`[${roomId}] ${locked ? 'locked' : 'unlocked'} by ${participantId}`);
+  });
+
+  // Every rename goes out to the whole room, so it costs a signal token
+  socket.on('set-name', async (msg) => {
+    const roomId = currentRoom;
+    if (!roomId) return;
+    if (!takeSignalToken()) {
+      rejectSignal('set-name', null, 'rate-limited');
+      return;
+    }
+    const name = sanitizeDisplayName(msg && msg.name);
+    try {
+      if (!(await membership.setName(roomId, participantId, name, socket.id))) return;
+    } catch (err) {
+      console.error(`[${roomId}] rename failed:`, err.message);
+      return;
+    }
+    broadcastRoster(roomId);
+  });
+
+  // --- Host controls ---
+  // Membership knows who the host is and every action is checked against it
+  // here, so sending the events doesn't make anyone a host.
+
+  // -> { roomId, room } if this socket holds the host's seat and `target`
+  // (null for actions without one) is someone else in the room, else null
+  async function requireHost(event, target) {
+    const roomId = currentRoom;
+    if (!roomId) return null;
+    if (!takeSignalToken()) {
+      rejectSignal(event, target, 'rate-limited');
+      return null;
+    }
+    if (target === undefined) {
+      rejectSignal(event, target, 'invalid-target');
+      return null;
+    }
+    let room;
+    try {
+      room = await membership.get(roomId);
+    } catch (err) {
+      console.error(`[${roomId}] ${event} failed:`, err.message);
+      rejectSignal(event, target, 'server-error');
+      return null;
+    }
+    if (!room || room.host !== participantId) {
+      rejectSignal(event, target, 'not-host');
+      return null;
+    }
+    if (target !== null && (target === participantId || !room.members.includes(target))) {
+      rejectSignal(event, target, 'target-not-in-room');
+      return null;
+    }
+    return { roomId, room };
+  }
+
+  // The target participant, or undefined if malformed
+  function hostTarget(msg) {
+    const target = msg && typeof msg === 'object' ? msg.target : undefined;
+    return isValidTarget(target) ? target : undefined;
+  }
+
+  socket.on('remove-participant', async (msg) => {
+    const target = hostTarget(msg);
+    const host = await requireHost('remove-participant', target);
+    if (!host) return;
+    const { roomId } = host;
+    let result;
+    try {
+      result = await membership.leave(roomId, target);
+    } catch (err) {
+      console.error(`[${roomId}] remove failed:`, err.message);
+      return;
+    }
+    if (!result.left) return;
+
+    // Keep them out: a reload would otherwise just join again
+    if (result.clientKey) {
+      try {
+        const record = await roomStore.get(roomId);
+        const removed = record && Array.isArray(record.settings.removed) ? record.settings.removed : [];
+        if (record && !removed.includes(result.clientKey)) {
+          await roomStore.update(roomId, { removed: [...removed, result.clientKey].slice(-MAX_REMOVED) });
+        }
+      } catch (err) {
+        console.error(`[${roomId}] recording removal failed:`, err.message);
+      }
+    }
+
+    io.to(participantChannel(target)).emit('removed', { by: participantId });
+    io.in(participantChannel(target)).disconnectSockets(true);
+    io.to(roomId).emit('participant-left', { participantId: target });
+    broadcastRoster(roomId);
+    console.log(`[${roomId}] ${target} removed by ${participantId}`);
+  });
+
+  // Only a request: the participant decides whether to mute
+  socket.on('request-mute', async (msg) => {
+    const target = hostTarget(msg);
+    const host = await requireHost('request-mute', target);
+    if (!host) return;
+    io.to(participantChannel(target)).emit('mute-requested', { by: participantId });
   });
 
-  socket.on('answer', ({ target, sdp }) => {
-    console.log(`[signal] answer ${socket.id} → ${target}`);
-    io.to(target).emit('answer', { sender: socket.id, sdp });
+  socket.on('transfer-host', async (msg) => {
+    const target = hostTarget(msg);
+    const host = await requireHost('transfer-host', target);
+    if (!host) return;
+    const { roomId } = host;
+    try {
+      if (!(await membership.setHost(roomId, target, participantId))) return;
+    } catch (err) {
+      console.error(`[${roomId}] host transfer failed:`, err.message);
+      return;
+    }
+    broadcastRoster(roomId);
+    console.log(`[${roomId}] host passed from ${participantId} to ${target}`);
   });
 
-  socket.on('ice-candidate', ({ target, candidate }) => {
-    io.to(target).emit('ice-candidate', { sender: socket.id, candidate });
+  // Everyone out, and the link stops working: the record stays behind, marked
+  // ended, for a full TTL, since join-room would otherwise recreate it as an
+  // open ad-hoc room
+  socket.on('end-room', async () => {
+    const host = await requireHost('end-room', null);
+    if (!host) return;
+    const { roomId } = host;
+    const by = participantId;
+    let closed;
+    try {
+      closed = await membership.close(roomId);
+      await roomStore.update(roomId, { ended: true });
+      await roomStore.touch(roomId, ROOM_TTL_MS);
+    } catch (err) {
+      console.error(`[${roomId}] ending the call failed:`, err.message);
+      return;
+    }
+    io.to(roomId).emit('room-ended', { by });
+    notifyOrphaned(closed.orphaned, 'room-ended');
+    // This socket too, which clears participantId
+    io.in(roomId).disconnectSockets(true);
+    console.log(`[${roomId}] ended by ${by} (${closed.members.length} in the call)`);
+  });
+
+  // --- Lobby ---
+
+  async function knock(roomId, name) {
+    // Already waiting here (e.g. a repeated join-room)
+    if (knocking && knocking.roomId === roomId) return;
+    withdrawKnock();
+
+    const requestId = nanoid(12);
+    let result;
+    try {
+      result = await membership.knock(roomId, requestId, {
+        name,
+        owner: INSTANCE_ID,
+        connection: socket.id,
+        max: MAX_WAITING,
+      });
+    } catch (err) {
+      console.error(`[${roomId}] knock failed:`, err.message);
+      socket.emit('signal-error', { event: 'join-room', target: null, reason: 'server-error' });
+      return;
+    }
+    if (!result.ok) {
+      // Everyone left meanwhile: try again, straight into the empty room
+      if (result.reason === 'empty') socket.emit('knock-retry');
+      else socket.emit('room-full');
+      return;
+    }
+    if (!socket.connected) {
+      membership.withdraw(roomId, requestId, socket.id).catch(() => {});
+      return;
+    }
+
+    knocking = { roomId, requestId };
+    socket.join(knockChannel(requestId));
+    socket.emit('waiting-for-admission', { requestId });
+    broadcastRoster(roomId);
+    console.log(`[${roomId}] ${requestId} waiting in the lobby`);
+  }
+
+  function stopKnocking() {
+    if (!knocking) return;
+    socket.leave(knockChannel(knocking.requestId));
+    knocking = null;
+  }
+
+  // Gave up waiting (left the page or joined elsewhere)
+  async function withdrawKnock() {
+    if (!knocking) return;
+    const { roomId, requestId } = knocking;
+    stopKnocking();
+    try {
+      if (!(await membership.withdraw(roomId, requestId, socket.id))) return;
+    } catch (err) {
+      console.error(`[${roomId}] withdraw failed:`, err.message);
+      return;
+    }
+    broadcastRoster(roomId);
+  }
+
+  // Anyone in the call can let a knock in or turn it away; the first answer wins
+  socket.on('answer-knock', async (msg) => {
+    const roomId = currentRoom;
+    const requestId = msg && typeof msg === 'object' ? msg.requestId : undefined;
+    if (!roomId || !isValidTarget(requestId)) return;
+    const admit = Boolean(msg.admit);
+    try {
+      if (!(await membership.has(roomId, participantId))) return;
+      if (!(await membership.answerKnock(roomId, requestId, admit))) return;
+    } catch (err) {
+      console.error(`[${roomId}] answering knock failed:`, err.message);
+      return;
+    }
+    io.to(knockChannel(requestId)).emit(admit ? 'admitted' : 'knock-denied');
+    broadcastRoster(roomId);
+    console.log(`[${roomId}] ${requestId} ${admit ? 'admitted' : 'denied'} by ${participantId}`);
+  });
+
+  // Only the host turns the lobby on or off
+  socket.on('set-lobby', async (msg) => {
+    const host = await requireHost('set-lobby', null);
+    if (!host) return;
+    const { roomId } = host;
+    const enabled = Boolean(msg && msg.enabled);
+    try {
+      if (!(await roomStore.update(roomId, { lobby: enabled }))) return;
+    } catch (err) {
+      console.error(`[${roomId}] lobby change failed:`, err.message);
+      return;
+    }
+    io.to(roomId).emit('lobby-changed', { enabled, by: participantId });
+    console.log(`[${roomId}] lobby ${enabled ? 'on' : 'off'} by ${participantId}`);
+
+    // Nobody needs letting in any more: whoever is waiting tries again and
+    // walks straight in
+    if (!enabled) {
+      try {
+        const room = await membership.get(roomId);
+        if (room) notifyOrphaned(room.waiting.map((knock) => knock.requestId), 'knock-retry');
+      } catch (err) {
+        console.error(`[${roomId}] releasing the lobby failed:`, err.message);
+      }
+    }
   });
 
   socket.on('leave-room', () => {
+    withdrawKnock();
     if (currentRoom) {
-      leaveRoom(socket, currentRoom);
+      leaveRoom(currentRoom, participantId);
       currentRoom = null;
+      participantId = null;
     }
   });
 
   socket.on('disconnect', () => {
+    withdrawKnock();
     if (currentRoom) {
-      leaveRoom(socket, currentRoom);
+      holdSeat(currentRoom, participantId);
       currentRoom = null;
+      participantId = null;
     }
   });
 
-  function leaveRoom(sock, roomId) {
-    const room = rooms.get(roomId);
-    if (!room) return;
+  // Keep the seat for RESUME_GRACE_MS; leave for real if nobody resumes it
+  async function holdSeat(roomId, id) {
+    try {
+      if (!(await membership.detach(roomId, id, socket.id))) return;
+    } catch (err) {
+      console.error(`[${roomId}] detach failed:`, err.message);
+      return;
+    }
+    console.log(`[${roomId}] ${id} disconnected, holding seat for ${RESUME_GRACE_MS / 1000}s`);
+    setTimeout(() => leaveRoom(roomId, id), RESUME_GRACE_MS);
+  }
 
-    room.participants.delete(sock.id);
-    sock.leave(roomId);
-    sock.to(roomId).emit('participant-left', { socketId: sock.id });
+  // The room record lives on (links keep working) until its TTL runs out;
+  // only the live call state goes away, which also clears the lock.
+  // Nothing happens if another socket has resumed the seat since.
+  async function leaveRoom(roomId, id) {
+    socket.leave(roomId);
+    socket.leave(participantChannel(id));
+
+    let result;
+    try {
+      result = await membership.leave(roomId, id, socket.id);
+    } catch (err) {
+      console.error(`[${roomId}] leave failed:`, err.message);
+      return;
+    }
+    if (!result.left) return;
+
+    io.to(roomId).emit('participant-left', { participantId: id });
+    broadcastRoster(roomId);
+    notifyOrphaned(result.orphaned, 'knock-retry');
+    touchRoom(roomId);
 
     console.log(
-      `[${roomId}] ${sock.id} left (${room.participants.size}/${MAX_PARTICIPANTS})`
+      `[${roomId}] ${id} left (${result.remaining}/${MAX_PARTICIPANTS})`
     );
+  }
+});
 
-    // Clean up empty rooms after a delay
-    if (room.participants.size === 0) {
-      setTimeout(() => {
-        const r = rooms.get(roomId);
-        if (r && r.participants.size === 0) {
-          rooms.delete(roomId);
-        }
-      }, 300000); // 5 minutes
+// The room went away under people waiting in its lobby
+function notifyOrphaned(requestIds, event) {
+  for (const requestId of requestIds) {
+    io.to(knockChannel(requestId)).emit(event);
+  }
+}
+
+// Set up room state — in-process, or shared through the cluster broker
+async function setupRoomState() {
+  if (!CLUSTER_BROKER_SOCKET) {
+    roomStore = createRoomStore(process.env, __dirname);
+    membership = new LocalMembership();
+    return;
+  }
+
+  const broker = await connectBroker(CLUSTER_BROKER_SOCKET, INSTANCE_ID);
+  roomStore = remoteService(broker, 'rooms');
+  membership = remoteService(broker, 'membership');
+  io.adapter(createPubSubAdapter(broker));
+
+  // Another instance died and the broker freed its seats — tell our sockets
+  broker.subscribe(EVICTED_CHANNEL, (text) => {
+    const { roomId, memberId } = JSON.parse(text);
+    io.local.to(roomId).emit('participant-left', { participantId: memberId });
+    broadcastRoster(roomId, io.local);
+  });
+
+  // Without the broker this instance can't see rooms or relay signaling;
+  // exit and let the process manager restart us once it's back.
+  broker.onClose(() => {
+    console.error('✗ Lost connection to cluster broker — exiting');
+    process.exit(1);
+  });
+
+  console.log(`Cluster mode: instance ${INSTANCE_ID} via ${CLUSTER_BROKER_SOCKET}`);
+}
+
+// Flush the room store before exiting (Render sends SIGTERM on deploy/spin-down)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    try {
+      if (roomStore) await roomStore.close();
+    } finally {
+      process.exit(0);
     }
+  });
+}
+
+setupRoomState().then(
+  () => server.listen(PORT, onListening),
+  (err) => {
+    console.error(`✗ Could not set up room state: ${err.message}`);
+    process.exit(1);
   }
-});
+);
 
-server.listen(PORT, async () => {
+async function onListening() {
   const proto = server instanceof https.Server ? 'https' : 'http';
   console.log(`Alphy Chat server running on port ${PORT}`);
   console.log(`Open ${proto}://localhost:${PORT}`);
 
   // Check TURN configuration at startup
-  const apiKey = process.env.METERED_API_KEY;
-  const domain = process.env.METERED_DOMAIN;
-  if (!apiKey || !domain) {
-    console.warn('⚠ TURN not configured (set METERED_API_KEY + METERED_DOMAIN). Using STUN only — P2P may fail on restrictive networks.');
-  } else {
-    try {
-      const r = await fetch(`https://${domain}.metered.live/api/v1/turn/credentials?apiKey=${apiKey}`);
-      if (r.ok) {
-        console.log(`✓ TURN credentials OK (${domain}.metered.live)`);
-      } else {
-        const body = await r.text();
-        console.error(`✗ TURN credentials FAILED (${r.status}): ${body}. Check METERED_DOMAIN and METERED_API_KEY.`);
-      }
-    } catch (err) {
-      console.error(`✗ TURN endpoint unreachable (${domain}.metered.live): ${err.message}`);
-    }
-  }
+  await checkIceProviders();
   if (proto === 'https') {
     const ifaces = require('os').networkInterfaces();
     for (const [name, addrs] of Object.entries(ifaces)) {
@@ -244,4 +1198,31 @@ server.listen(PORT, async () => {
       }
     }
   }
-});
+}
+
+async function checkIceProviders() {
+  for (const warning of iceConfig.warnings) console.warn(`⚠ ${warning}`);
+  for (const error of iceConfig.errors) console.error(`✗ ${error}`);
+  if (iceConfig.providers.length === 0) {
+    console.warn('⚠ TURN not configured (set TURN_SECRET + TURN_URLS, METERED_API_KEY + METERED_DOMAIN, or ICE_SERVERS). Using STUN only — P2P may fail on restrictive networks.');
+    return;
+  }
+
+  console.log(`ICE providers: ${iceConfig.providers.map((p) => p.name).join(' → ')} → public STUN`);
+  for (const provider of iceConfig.providers) {
+    try {
+      await iceProviders.load(provider);
+      console.log(`✓ ${provider.name} OK (${provider.label})`);
+    } catch (err) {
+      console.error(`✗ ${provider.name} FAILED (${provider.label}): ${err.message}`);
+    }
+  }
+
+  if (iceConfig.providers.some((p) => p.name === 'turn-rest')) {
+    const results = await checkTurnServers(iceConfig.turnRest);
+    for (const { url, ok, error } of results) {
+      if (ok) console.log(`✓ TURN reachable: ${url}`);
+      else console.error(`✗ TURN unreachable: ${url} (${error})`);
+    }
+  }
+}